@@ -123,6 +123,7 @@ async function runOptionsCollection() {
 
   let totalSuccessCount = 0;
   let totalFailureCount = 0;
+  let totalPartialCount = 0;
   let totalSymbolsProcessed = 0;
 
   // Process each configuration
@@ -133,7 +134,11 @@ async function runOptionsCollection() {
       console.log(`⚙️ Parameters:`, {
         topRecords: config.parameters.topRecords,
         streamDuration: config.parameters.streamDuration,
-        expirationFilter: config.parameters.expirationFilter
+        expirationFilter: config.parameters.expirationFilter,
+        enableGreeks: config.parameters.enableGreeks || false,
+        strikeProximity: config.parameters.strikeProximity,
+        range: config.parameters.range,
+        spreadType: config.parameters.spreadType
       });
     console.log('---');
 
@@ -159,6 +164,18 @@ async function runOptionsCollection() {
           topRecords: config.parameters.topRecords,
           streamDuration: config.parameters.streamDuration,
           expirationFilter: config.parameters.expirationFilter,
+          enableGreeks: config.parameters.enableGreeks !== undefined ? config.parameters.enableGreeks : false,
+          // Chain filters - omitted values fall back to the API defaults
+          strikeProximity: config.parameters.strikeProximity,
+          strikeInterval: config.parameters.strikeInterval,
+          range: config.parameters.range,
+          spreadType: config.parameters.spreadType,
+          riskFreeRate: config.parameters.riskFreeRate,
+          priceCenter: config.parameters.priceCenter,
+          // Scheduler limits - omitted values fall back to the API defaults
+          concurrency: config.parameters.concurrency,
+          requestsPerMinute: config.parameters.requestsPerMinute,
+          maxAttempts: config.parameters.maxAttempts,
           saveToDatabase: config.parameters.saveToDatabase !== undefined ? config.parameters.saveToDatabase : true,
           cleanupOldData: config.parameters.cleanupOldData !== undefined ? config.parameters.cleanupOldData : true,
           keepHours: config.parameters.keepHours !== undefined ? config.parameters.keepHours : 0.5
@@ -181,8 +198,20 @@ async function runOptionsCollection() {
               database_processed: responseData.summary?.database_processed || 0,
               database_inserted: responseData.summary?.database_inserted || 0,
               database_updated: responseData.summary?.database_updated || 0,
-              duration_ms: responseData.duration_ms || 0
+              duration_ms: responseData.duration_ms || 0,
+              failed_operations: responseData.summary?.failed_operations || 0,
+              retried_operations: responseData.summary?.retried_operations || 0
             });
+            
+            // Report calls that gave up after retries (partial failure)
+            if (responseData.summary?.partial_failure) {
+              console.log(`⚠️ ${symbol} completed with ${responseData.summary.failed_operations} failed operation(s):`);
+              (responseData.failures || []).forEach(failure => {
+                const target = failure.expiration ? `${failure.symbol} ${failure.expiration}` : failure.symbol;
+                console.log(`   - ${failure.operation} ${target}: ${failure.error} (${failure.attempts.length} attempt(s), ${failure.classification})`);
+              });
+              totalPartialCount++;
+            }
             configSuccessCount++;
             totalSuccessCount++;
           } catch (parseError) {
@@ -219,6 +248,7 @@ async function runOptionsCollection() {
   console.log(`🎯 Overall Options Collection Summary:`);
   console.log(`✅ Total Successful: ${totalSuccessCount}`);
   console.log(`❌ Total Failed: ${totalFailureCount}`);
+  console.log(`⚠️ Total Partial Failures: ${totalPartialCount}`);
   console.log(`📈 Total Symbols Processed: ${totalSymbolsProcessed}`);
   console.log(`📋 Total Configurations: ${configurations.length}`);
 
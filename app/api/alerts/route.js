@@ -0,0 +1,93 @@
+import { NextResponse } from 'next/server';
+import { verifyApiKey, createUnauthorizedResponse } from '../../../lib/auth.js';
+import { OptionsDatabase } from '../../../lib/database.js';
+import { ALERT_TYPES } from '../../../lib/alerts.js';
+
+// Force dynamic rendering
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  try {
+    // Verify API key authentication
+    if (!verifyApiKey(request)) {
+      return createUnauthorizedResponse();
+    }
+
+    const { searchParams } = new URL(request.url);
+    const symbolParam = searchParams.get('symbol');
+    const alertType = searchParams.get('type');
+    const optionType = searchParams.get('optionType');
+    const hours = searchParams.get('hours') ? parseFloat(searchParams.get('hours')) : null;
+    const endTime = searchParams.get('endTime');
+    const limit = parseInt(searchParams.get('limit')) || 500;
+
+    if (alertType && !ALERT_TYPES.includes(alertType)) {
+      return NextResponse.json({
+        success: false,
+        error: `type must be one of: ${ALERT_TYPES.join(', ')}`
+      }, { status: 400 });
+    }
+
+    if (optionType && !['Call', 'Put'].includes(optionType)) {
+      return NextResponse.json({
+        success: false,
+        error: 'optionType must be Call or Put'
+      }, { status: 400 });
+    }
+
+    // startTime wins over the hours window; default to the last 24 hours
+    const startTime = searchParams.get('startTime')
+      || new Date(Date.now() - (hours || 24) * 60 * 60 * 1000).toISOString();
+
+    let queriedSymbols = null;
+    if (symbolParam) {
+      // Normalize symbol to match database storage (remove $ and .X suffix)
+      const symbol = symbolParam.replace(/^\$/, '').replace(/\.X$/, '');
+
+      // Special case: if symbol is SPX, also query SPXW
+      queriedSymbols = symbol.toUpperCase() === 'SPX' ? ['SPX', 'SPXW'] : [symbol];
+    }
+
+    const data = await OptionsDatabase.getAlerts({
+      symbols: queriedSymbols,
+      alertType,
+      optionType,
+      startTime,
+      endTime,
+      limit
+    });
+
+    const byType = {};
+    data.forEach(alert => {
+      byType[alert.alert_type] = (byType[alert.alert_type] || 0) + 1;
+    });
+
+    return NextResponse.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      parameters: {
+        symbol: symbolParam,
+        queried_symbols: queriedSymbols,
+        type: alertType,
+        optionType,
+        startTime,
+        endTime,
+        limit
+      },
+      summary: {
+        total_alerts: data.length,
+        data_type: 'options_alerts',
+        by_type: byType
+      },
+      data: data
+    });
+
+  } catch (error) {
+    console.error('❌ Database query failed:', error.message);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,77 @@
+import { NextResponse } from 'next/server';
+import TokenManager from '../../../../tokenManager.js';
+import {
+  OAUTH_STATE_COOKIE,
+  decodeLoginState,
+  stateMatches,
+  exchangeAuthorizationCode
+} from '../../../../lib/oauth.js';
+
+// Force dynamic rendering
+export const dynamic = 'force-dynamic';
+
+function errorResponse(error, status) {
+  const response = NextResponse.json({
+    success: false,
+    error: error,
+    timestamp: new Date().toISOString()
+  }, { status });
+  response.cookies.delete({ name: OAUTH_STATE_COOKIE, path: '/api/auth' });
+  return response;
+}
+
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const code = searchParams.get('code');
+    const state = searchParams.get('state');
+    const oauthError = searchParams.get('error');
+
+    if (oauthError) {
+      return errorResponse(`Authorization denied: ${searchParams.get('error_description') || oauthError}`, 400);
+    }
+
+    // Only a login started by /api/auth/login (which checked the API key) can complete here
+    const loginState = decodeLoginState(request.cookies.get(OAUTH_STATE_COOKIE)?.value);
+    if (!loginState || !stateMatches(loginState.state, state)) {
+      return errorResponse('Invalid or expired login state, start again at /api/auth/login', 400);
+    }
+
+    if (!code) {
+      return errorResponse('Missing authorization code', 400);
+    }
+
+    const tokens = await exchangeAuthorizationCode({
+      code,
+      codeVerifier: loginState.codeVerifier,
+      redirectUri: loginState.redirectUri
+    });
+
+    if (!tokens.access_token) {
+      return errorResponse('Token response did not include an access token', 502);
+    }
+
+    const tokenManager = TokenManager.getInstance();
+    await tokenManager.setTokens({
+      accessToken: tokens.access_token,
+      refreshToken: tokens.refresh_token,
+      expiresIn: tokens.expires_in
+    });
+
+    console.log('✅ TradeStation login completed');
+
+    // Tokens are never echoed back, only the resulting state
+    const response = NextResponse.json({
+      success: true,
+      message: 'TradeStation login completed',
+      timestamp: new Date().toISOString(),
+      token: tokenManager.getTokenInfo()
+    });
+    response.cookies.delete({ name: OAUTH_STATE_COOKIE, path: '/api/auth' });
+    return response;
+
+  } catch (error) {
+    console.error('❌ Login callback failed:', error.response?.data || error.message);
+    return errorResponse(error.response?.data?.error_description || error.message, 502);
+  }
+}
@@ -0,0 +1,111 @@
+import { NextResponse } from 'next/server';
+import { verifyApiKey } from '../../../../lib/auth.js';
+import {
+  OAUTH_STATE_COOKIE,
+  createPkcePair,
+  getRedirectUri,
+  buildAuthorizeUrl,
+  encodeLoginState
+} from '../../../../lib/oauth.js';
+
+// Force dynamic rendering
+export const dynamic = 'force-dynamic';
+
+/**
+ * Sign-in form for browsers, which cannot send the X-API-Key header on a navigation
+ * The key is POSTed in the form body so it never appears in URLs, logs or Referer headers
+ */
+function loginForm(error = null, status = 200) {
+  const html = `<!DOCTYPE html>
+<html>
+  <head><title>TradeStation Login</title></head>
+  <body>
+    <h1>TradeStation Login</h1>
+    ${error ? `<p style="color: #b00020">${error}</p>` : ''}
+    <form method="POST" action="/api/auth/login">
+      <label>API key <input type="password" name="apiKey" autocomplete="off" required></label>
+      <button type="submit">Continue to TradeStation</button>
+    </form>
+  </body>
+</html>`;
+  return new NextResponse(html, {
+    status,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'Referrer-Policy': 'no-referrer'
+    }
+  });
+}
+
+/**
+ * Start the authorization-code flow: keep the PKCE verifier in a short-lived cookie and
+ * redirect to TradeStation sign-in
+ */
+function startLogin(request, redirectStatus) {
+  if (!process.env.TRADESTATION_CLIENT_ID) {
+    return NextResponse.json({
+      success: false,
+      error: 'TRADESTATION_CLIENT_ID is not configured',
+      timestamp: new Date().toISOString()
+    }, { status: 500 });
+  }
+
+  const { codeVerifier, codeChallenge, state } = createPkcePair();
+  const redirectUri = getRedirectUri(request);
+  const authorizeUrl = buildAuthorizeUrl({ redirectUri, codeChallenge, state });
+
+  console.log(`🔐 Starting TradeStation login, redirect URI: ${redirectUri}`);
+
+  // The verifier never leaves the server side of the flow; the callback reads it back from this cookie
+  const response = NextResponse.redirect(authorizeUrl, redirectStatus);
+  response.cookies.set(OAUTH_STATE_COOKIE, encodeLoginState({ state, codeVerifier, redirectUri }), {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: '/api/auth',
+    maxAge: 10 * 60 // 10 minutes to complete sign-in
+  });
+  return response;
+}
+
+export async function GET(request) {
+  try {
+    // Scripts can send the header; browsers get the form instead
+    if (!verifyApiKey(request)) {
+      return loginForm();
+    }
+
+    return startLogin(request);
+
+  } catch (error) {
+    console.error('❌ Login failed:', error.message);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    }, { status: 500 });
+  }
+}
+
+export async function POST(request) {
+  try {
+    const formData = await request.formData().catch(() => null);
+    const formApiKey = formData ? formData.get('apiKey') : null;
+    const formKeyValid = !!process.env.API_KEY && formApiKey === process.env.API_KEY;
+    if (!verifyApiKey(request) && !formKeyValid) {
+      return loginForm('Invalid API key', 401);
+    }
+
+    // 303 so the browser follows the redirect with a GET
+    return startLogin(request, 303);
+
+  } catch (error) {
+    console.error('❌ Login failed:', error.message);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,34 @@
+import { NextResponse } from 'next/server';
+import TokenManager from '../../../../tokenManager.js';
+import { verifyApiKey, createUnauthorizedResponse } from '../../../../lib/auth.js';
+
+// Force dynamic rendering
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  try {
+    // Verify API key authentication
+    if (!verifyApiKey(request)) {
+      return createUnauthorizedResponse();
+    }
+
+    const tokenManager = TokenManager.getInstance();
+
+    // Pick up tokens persisted by another instance (e.g. the one that handled the login callback)
+    await tokenManager.loadFromStore();
+
+    return NextResponse.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      token: tokenManager.getTokenInfo()
+    });
+
+  } catch (error) {
+    console.error('❌ Token status failed:', error.message);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    }, { status: 500 });
+  }
+}
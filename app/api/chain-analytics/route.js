@@ -0,0 +1,74 @@
+import { NextResponse } from 'next/server';
+import { verifyApiKey, createUnauthorizedResponse } from '../../../lib/auth.js';
+import { OptionsDatabase } from '../../../lib/database.js';
+import { calculateOpenInterestAnalytics, latestUnderlyingPrice } from '../../../lib/analytics.js';
+
+// Force dynamic rendering
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  try {
+    // Verify API key authentication
+    if (!verifyApiKey(request)) {
+      return createUnauthorizedResponse();
+    }
+
+    const { searchParams } = new URL(request.url);
+    const symbolParam = searchParams.get('symbol');
+    const expiration = searchParams.get('expiration');
+    const maxExpirations = parseInt(searchParams.get('maxExpirations')) || 12;
+    const lookbackHours = parseFloat(searchParams.get('lookbackHours')) || 96;
+
+    if (!symbolParam) {
+      return NextResponse.json({
+        success: false,
+        error: 'Symbol parameter is required'
+      }, { status: 400 });
+    }
+
+    // Normalize symbol to match database storage (remove $ and .X suffix)
+    const symbol = symbolParam.replace(/^\$/, '').replace(/\.X$/, '');
+
+    // Special case: if symbol is SPX, also query SPXW
+    const queriedSymbols = symbol.toUpperCase() === 'SPX' ? ['SPX', 'SPXW'] : [symbol];
+
+    let rows = await OptionsDatabase.getLatestSnapshotPairs(queriedSymbols, maxExpirations, lookbackHours);
+    if (expiration) {
+      rows = rows.filter(row => new Date(row.expiration_date).toISOString().slice(0, 10) === expiration);
+    }
+
+    const analytics = calculateOpenInterestAnalytics(rows);
+    const latestRows = rows.filter(row => parseInt(row.snapshot_rank) === 1);
+    const capturedAt = latestRows.map(row => new Date(row.captured_at).getTime());
+
+    return NextResponse.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      parameters: {
+        symbol: symbolParam,
+        queried_symbols: queriedSymbols,
+        expiration,
+        maxExpirations,
+        lookbackHours
+      },
+      summary: {
+        total_contracts: latestRows.length,
+        contracts_with_previous: rows.length - latestRows.length,
+        total_expirations: analytics.expirations.length,
+        data_type: 'chain_analytics',
+        underlying_price: latestUnderlyingPrice(latestRows.map(row => ({ ...row, timestamp: row.captured_at }))),
+        latest_capture: capturedAt.length > 0 ? new Date(Math.max(...capturedAt)).toISOString() : null,
+        ...analytics.overall
+      },
+      data: analytics.expirations
+    });
+
+  } catch (error) {
+    console.error('❌ Database query failed:', error.message);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    }, { status: 500 });
+  }
+}
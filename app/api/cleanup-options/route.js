@@ -1,6 +1,6 @@
 import { NextResponse } from 'next/server';
 import { verifyApiKey, createUnauthorizedResponse } from '../../../lib/auth.js';
-import { OptionsDatabase } from '../../../lib/database.js';
+import { applyRetentionPolicy, loadRetentionPolicy } from '../../../lib/retention.js';
 
 // Force dynamic rendering
 export const dynamic = 'force-dynamic';
@@ -15,14 +15,15 @@ export async function POST(request) {
     const body = await request.json();
     console.log('🧹 Options cleanup request received:', body);
     
+    const policy = loadRetentionPolicy();
     const {
       symbols = null, // Array of symbols to clean up, or null for all symbols
-      keepHours = 0.5, // Number of hours of recent data to keep (default: 0.5 = 30 minutes)
+      keepHours = policy.current.keepHours, // Hours of current data to keep (default: retention policy)
       dryRun = false // If true, only show what would be deleted
     } = body;
 
     // Validate parameters
-    if (keepHours <= 0) {
+    if (!Number.isFinite(Number(keepHours)) || Number(keepHours) <= 0) {
       return NextResponse.json({
         success: false,
         error: 'keepHours must be a positive number',
@@ -31,17 +32,10 @@ export async function POST(request) {
     }
 
     const startTime = Date.now();
-    let result;
-
-    if (symbols && Array.isArray(symbols) && symbols.length > 0) {
-      // Clean up specific symbols
-      console.log(`🧹 Cleaning up symbols: ${symbols.join(', ')} (keeping last ${keepHours} hours)`);
-      result = await OptionsDatabase.cleanupOldOptionsData(symbols, keepHours, dryRun);
-    } else {
-      // Clean up all symbols
-      console.log(`🧹 Cleaning up all symbols (keeping last ${keepHours} hours)`);
-      result = await OptionsDatabase.cleanupAllOldOptionsData(keepHours, dryRun);
-    }
+    const targetSymbols = symbols && Array.isArray(symbols) && symbols.length > 0 ? symbols : null;
+
+    console.log(`🧹 Applying retention policy to ${targetSymbols ? `symbols: ${targetSymbols.join(', ')}` : 'all symbols'} (keeping last ${keepHours} hours of current data)`);
+    const result = await applyRetentionPolicy({ symbols: targetSymbols, keepHours: Number(keepHours), dryRun, policy });
 
     const endTime = Date.now();
     const duration = endTime - startTime;
@@ -53,7 +47,7 @@ export async function POST(request) {
       duration_ms: duration,
       parameters: {
         symbols: symbols,
-        keepHours: keepHours,
+        keepHours: Number(keepHours),
         dryRun: dryRun
       },
       result: result
@@ -80,14 +74,15 @@ export async function GET(request) {
     }
 
     const { searchParams } = new URL(request.url);
-    const keepHours = parseFloat(searchParams.get('keepHours')) || 0.5;
+    const policy = loadRetentionPolicy();
+    const keepHours = searchParams.has('keepHours') ? parseFloat(searchParams.get('keepHours')) : policy.current.keepHours;
     const dryRun = searchParams.get('dryRun') === 'true';
     const symbolsParam = searchParams.get('symbols');
     
     const symbols = symbolsParam ? symbolsParam.split(',').map(s => s.trim()) : null;
 
     // Validate parameters
-    if (keepHours <= 0) {
+    if (!(keepHours > 0)) {
       return NextResponse.json({
         success: false,
         error: 'keepHours must be a positive number',
@@ -96,17 +91,9 @@ export async function GET(request) {
     }
 
     const startTime = Date.now();
-    let result;
-
-    if (symbols && symbols.length > 0) {
-      // Clean up specific symbols
-      console.log(`🧹 GET: Cleaning up symbols: ${symbols.join(', ')} (keeping last ${keepHours} hours)`);
-      result = await OptionsDatabase.cleanupOldOptionsData(symbols, keepHours, dryRun);
-    } else {
-      // Clean up all symbols
-      console.log(`🧹 GET: Cleaning up all symbols (keeping last ${keepHours} hours)`);
-      result = await OptionsDatabase.cleanupAllOldOptionsData(keepHours, dryRun);
-    }
+
+    console.log(`🧹 GET: Applying retention policy to ${symbols ? `symbols: ${symbols.join(', ')}` : 'all symbols'} (keeping last ${keepHours} hours of current data)`);
+    const result = await applyRetentionPolicy({ symbols, keepHours, dryRun, policy });
 
     const endTime = Date.now();
     const duration = endTime - startTime;
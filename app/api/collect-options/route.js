@@ -1,11 +1,32 @@
 import { NextResponse } from 'next/server';
 import SimpleOptionsCollector from '../../../simpleOptionsCollector.js';
+import TokenManager, { TOKEN_STATES } from '../../../tokenManager.js';
 import { verifyApiKey, createUnauthorizedResponse } from '../../../lib/auth.js';
 import { OptionsDatabase } from '../../../lib/database.js';
+import { validateChainFilters } from '../../../lib/chainFilters.js';
+import { validateExpirationFilter } from '../../../lib/expirationFilter.js';
+import { runAlertScan } from '../../../lib/alerts.js';
 
 // Force dynamic rendering
 export const dynamic = 'force-dynamic';
 
+/**
+ * 503 response for when no TradeStation token can be obtained right now
+ */
+function createTokenUnavailableResponse(state, retryAfterSeconds, detail) {
+  const headers = retryAfterSeconds ? { 'Retry-After': String(retryAfterSeconds) } : {};
+  return NextResponse.json({
+    success: false,
+    error: state === TOKEN_STATES.REVOKED
+      ? 'TradeStation refresh token revoked or missing, re-authenticate via /api/auth/login'
+      : 'TradeStation token refresh is cooling down, try again later',
+    token_state: state,
+    retry_after_seconds: retryAfterSeconds,
+    detail: detail,
+    timestamp: new Date().toISOString()
+  }, { status: 503, headers });
+}
+
 export async function POST(request) {
   try {
     // Verify API key authentication
@@ -13,6 +34,15 @@ export async function POST(request) {
       return createUnauthorizedResponse();
     }
 
+    // Fail fast while the token refresh is cooling down or the refresh token is revoked
+    // Load the store first: the refresh token may only exist there, or have been replaced by a login on another instance
+    const tokenManager = TokenManager.getInstance();
+    await tokenManager.loadFromStore();
+    const tokenInfo = tokenManager.getTokenInfo();
+    if (tokenInfo.state === TOKEN_STATES.COOLING_DOWN || tokenInfo.state === TOKEN_STATES.REVOKED) {
+      return createTokenUnavailableResponse(tokenInfo.state, tokenInfo.retryAfterSeconds, tokenInfo.lastRefreshError);
+    }
+
     const body = await request.json();
     // console.log('🚀 Options collection request received:', body);
     
@@ -20,12 +50,64 @@ export async function POST(request) {
       symbols = ['$SPX.X', '$SPXW.X'],
       topRecords = 3,
       streamDuration = 2000,
-      expirationFilter = null, // null = all, 'Weekly' = weekly only, 'Monthly' = monthly only
+      expirationFilter = null, // null = all, a type or list of types, or { types, minDte, maxDte }
+      enableGreeks = false, // Whether to request Greeks and implied volatility from the stream
       saveToDatabase = false, // Whether to save data to database
       cleanupOldData = true, // Whether to clean up old data before inserting new data
-      keepHours = 0.5 // Number of hours of recent data to keep (default: 0.5 = 30 minutes)
+      keepHours = 0.5, // Number of hours of recent data to keep (default: 0.5 = 30 minutes)
+      batchSize = 500, // Options rows per multi-row insert statement
+      scanAlerts = true, // Whether to scan the stored contracts for unusual activity afterwards
+      concurrency = 4, // Maximum TradeStation requests/streams in flight
+      requestsPerMinute = 90, // Rate limit across all TradeStation requests of this collection
+      maxAttempts = 3 // Attempts per expirations/stream call, including the first
     } = body;
 
+    if (!Number.isInteger(Number(maxAttempts)) || Number(maxAttempts) < 1 || Number(maxAttempts) > 6) {
+      return NextResponse.json({
+        success: false,
+        error: 'maxAttempts must be an integer between 1 and 6',
+        timestamp: new Date().toISOString()
+      }, { status: 400 });
+    }
+
+    if (!Number.isInteger(Number(concurrency)) || Number(concurrency) < 1 || Number(concurrency) > 20) {
+      return NextResponse.json({
+        success: false,
+        error: 'concurrency must be an integer between 1 and 20',
+        timestamp: new Date().toISOString()
+      }, { status: 400 });
+    }
+
+    if (!Number.isFinite(Number(requestsPerMinute)) || Number(requestsPerMinute) <= 0) {
+      return NextResponse.json({
+        success: false,
+        error: 'requestsPerMinute must be a positive number',
+        timestamp: new Date().toISOString()
+      }, { status: 400 });
+    }
+
+    // Validate chain filters (strikeProximity, strikeInterval, range, spreadType, riskFreeRate, priceCenter)
+    const { filters: chainFilters, errors: filterErrors } = validateChainFilters(body);
+    if (filterErrors.length > 0) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid chain filter parameters',
+        details: filterErrors,
+        timestamp: new Date().toISOString()
+      }, { status: 400 });
+    }
+
+    // Validate the expiration filter (types and days-to-expiration window)
+    const { filter: expirationSelection, errors: expirationErrors } = validateExpirationFilter(expirationFilter);
+    if (expirationErrors.length > 0) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid expirationFilter',
+        details: expirationErrors,
+        timestamp: new Date().toISOString()
+      }, { status: 400 });
+    }
+
     // Create collector instance with custom parameters
     const collector = new SimpleOptionsCollector();
     
@@ -33,7 +115,12 @@ export async function POST(request) {
     if (symbols) collector.symbols = Array.isArray(symbols) ? symbols : symbols.split(',').map(s => s.trim());
     if (topRecords) collector.topRecords = parseInt(topRecords);
     if (streamDuration) collector.streamDuration = parseInt(streamDuration);
-    if (expirationFilter) collector.expirationFilter = expirationFilter;
+    collector.expirationFilter = expirationSelection;
+    collector.enableGreeks = enableGreeks === true || enableGreeks === 'true';
+    collector.chainFilters = chainFilters;
+    collector.concurrency = Number(concurrency);
+    collector.requestsPerMinute = Number(requestsPerMinute);
+    collector.retryPolicy = { ...collector.retryPolicy, maxAttempts: Number(maxAttempts) };
 
     // console.log(`📋 Collection parameters:`, {
     //   symbols: collector.symbols,
@@ -44,7 +131,7 @@ export async function POST(request) {
 
     // Start collection
     const startTime = Date.now();
-    const result = await collector.collect();
+    const { options: result, spreads, underlyingQuotes, quality, attempts, failures } = await collector.collect();
     const endTime = Date.now();
     const duration = endTime - startTime;
 
@@ -67,12 +154,24 @@ export async function POST(request) {
       }
     }
 
+    // Save the underlying quotes first; chain rows reference them by capture time
+    let underlyingDatabaseResult = null;
+    if (saveToDatabase && underlyingQuotes.length > 0) {
+      console.log(`💾 Saving ${underlyingQuotes.length} underlying quotes to database...`);
+      try {
+        underlyingDatabaseResult = await OptionsDatabase.insertUnderlyingQuotes(underlyingQuotes);
+      } catch (dbError) {
+        console.error('❌ Underlying quote database save failed:', dbError.message);
+        // Continue with data insertion even if the quotes could not be saved
+      }
+    }
+
     // Save to database if requested
     let databaseResult = null;
     if (saveToDatabase && result.length > 0) {
       console.log(`💾 Saving ${result.length} records to database...`);
       try {
-        databaseResult = await OptionsDatabase.insertOptionsData(result);
+        databaseResult = await OptionsDatabase.insertOptionsData(result, { batchSize });
         console.log(`✅ Database save completed: ${databaseResult.totalProcessed} records processed (${databaseResult.insertedCount} inserted, ${databaseResult.updatedCount} updated)`);
       } catch (dbError) {
         console.error('❌ Database save failed:', dbError.message);
@@ -83,6 +182,30 @@ export async function POST(request) {
       console.log('⚠️  No data to save to database (result array is empty)');
     }
 
+    // Save multi-leg spread quotes separately from the single contracts
+    let spreadDatabaseResult = null;
+    if (saveToDatabase && spreads.length > 0) {
+      console.log(`💾 Saving ${spreads.length} spread records to database...`);
+      try {
+        spreadDatabaseResult = await OptionsDatabase.insertSpreadData(spreads);
+      } catch (dbError) {
+        console.error('❌ Spread database save failed:', dbError.message);
+        // Continue with response even if database save fails
+      }
+    }
+
+    // Scan the contracts just stored for unusual activity
+    let alertResult = null;
+    if (saveToDatabase && databaseResult && scanAlerts !== false && scanAlerts !== 'false') {
+      const storedSymbols = [...new Set(result.map(option => option.symbol ? option.symbol.split(' ')[0] : null).filter(Boolean))];
+      try {
+        alertResult = await runAlertScan(storedSymbols, new Date(startTime));
+      } catch (alertError) {
+        console.error('❌ Alert scan failed:', alertError.message);
+        // Continue with response even if the scan fails
+      }
+    }
+
     // Prepare response
     const response = {
       success: true,
@@ -93,21 +216,49 @@ export async function POST(request) {
         topRecords: collector.topRecords,
         streamDuration: collector.streamDuration,
         expirationFilter: collector.expirationFilter,
+        enableGreeks: collector.enableGreeks,
+        ...collector.chainFilters,
+        concurrency: collector.concurrency,
+        requestsPerMinute: collector.requestsPerMinute,
+        maxAttempts: collector.retryPolicy.maxAttempts,
         cleanupOldData: cleanupOldData,
-        keepHours: keepHours
+        keepHours: keepHours,
+        batchSize: batchSize,
+        scanAlerts: scanAlerts !== false && scanAlerts !== 'false'
       },
       summary: {
         total_records: result.length,
+        total_spreads: spreads.length,
+        total_underlying_quotes: underlyingQuotes.length,
+        quality_ok: quality.ok,
+        quality_suspect: quality.suspect,
+        quality_invalid: quality.invalid,
+        partial_failure: failures.length > 0,
+        failed_operations: failures.length,
+        retried_operations: attempts.filter(entry => entry.attempts.length > 1).length,
         symbols_processed: collector.symbols.length,
         expirations_per_symbol: collector.topRecords,
         database_processed: databaseResult ? databaseResult.totalProcessed : 0,
         database_inserted: databaseResult ? databaseResult.insertedCount : 0,
         database_updated: databaseResult ? databaseResult.updatedCount : 0,
-        cleanup_deleted: cleanupResult ? cleanupResult.totalDeleted : 0
+        database_snapshots: databaseResult ? databaseResult.snapshotCount : 0,
+        database_spreads: spreadDatabaseResult ? spreadDatabaseResult.insertedCount : 0,
+        database_underlying_quotes: underlyingDatabaseResult ? underlyingDatabaseResult.insertedCount : 0,
+        cleanup_deleted: cleanupResult ? cleanupResult.totalDeleted : 0,
+        alerts_found: alertResult ? alertResult.alertsFound : 0,
+        alerts_inserted: alertResult ? alertResult.insertedCount : 0
       },
+      quality: quality,
+      scheduler: collector.getScheduler().getStats(),
+      attempts: attempts,
+      failures: failures,
       data: result,
+      spreads: spreads,
+      underlying_quotes: underlyingQuotes,
       database: databaseResult,
-      cleanup: cleanupResult
+      spreadDatabase: spreadDatabaseResult,
+      cleanup: cleanupResult,
+      alerts: alertResult
     };
 
     // console.log(`✅ Collection completed in ${duration}ms with ${result.length} records`);
@@ -115,6 +266,9 @@ export async function POST(request) {
 
   } catch (error) {
     console.error('❌ Collection failed:', error.message);
+    if (error.name === 'TokenUnavailableError') {
+      return createTokenUnavailableResponse(error.state, error.retryAfterSeconds, error.message);
+    }
     return NextResponse.json({
       success: false,
       error: error.message,
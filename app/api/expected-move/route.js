@@ -0,0 +1,79 @@
+import { NextResponse } from 'next/server';
+import { verifyApiKey, createUnauthorizedResponse } from '../../../lib/auth.js';
+import { OptionsDatabase } from '../../../lib/database.js';
+import { calculateExpectedMoves, latestUnderlyingPrice } from '../../../lib/analytics.js';
+
+// Force dynamic rendering
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  try {
+    // Verify API key authentication
+    if (!verifyApiKey(request)) {
+      return createUnauthorizedResponse();
+    }
+
+    const { searchParams } = new URL(request.url);
+    const symbolParam = searchParams.get('symbol');
+    const expiration = searchParams.get('expiration');
+    const maxExpirations = parseInt(searchParams.get('maxExpirations')) || 12;
+
+    if (!symbolParam) {
+      return NextResponse.json({
+        success: false,
+        error: 'Symbol parameter is required'
+      }, { status: 400 });
+    }
+
+    // Normalize symbol to match database storage (remove $ and .X suffix)
+    const symbol = symbolParam.replace(/^\$/, '').replace(/\.X$/, '');
+
+    // Special case: if symbol is SPX, also query SPXW
+    const queriedSymbols = symbol.toUpperCase() === 'SPX' ? ['SPX', 'SPXW'] : [symbol];
+
+    let rows = await OptionsDatabase.getLatestQuotesByExpiration(queriedSymbols, maxExpirations);
+    if (expiration) {
+      rows = rows.filter(row => new Date(row.expiration_date).toISOString().slice(0, 10) === expiration);
+    }
+
+    const underlyingPrice = searchParams.get('underlyingPrice')
+      ? parseFloat(searchParams.get('underlyingPrice'))
+      : latestUnderlyingPrice(rows);
+
+    if (rows.length > 0 && !(underlyingPrice > 0)) {
+      return NextResponse.json({
+        success: false,
+        error: 'No underlying price stored for this symbol; pass underlyingPrice'
+      }, { status: 400 });
+    }
+
+    const data = rows.length > 0 ? calculateExpectedMoves(rows, underlyingPrice) : [];
+
+    return NextResponse.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      parameters: {
+        symbol: symbolParam,
+        queried_symbols: queriedSymbols,
+        expiration,
+        maxExpirations,
+        underlyingPrice
+      },
+      summary: {
+        total_expirations: data.length,
+        data_type: 'expected_move',
+        underlying_price: underlyingPrice,
+        next_expiration: data[0] || null
+      },
+      data: data
+    });
+
+  } catch (error) {
+    console.error('❌ Database query failed:', error.message);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,100 @@
+import { NextResponse } from 'next/server';
+import { verifyApiKey, createUnauthorizedResponse } from '../../../lib/auth.js';
+import { OptionsDatabase } from '../../../lib/database.js';
+import { latestUnderlyingPrice } from '../../../lib/analytics.js';
+import { calculateGammaExposure } from '../../../lib/gex.js';
+
+// Force dynamic rendering
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  try {
+    // Verify API key authentication
+    if (!verifyApiKey(request)) {
+      return createUnauthorizedResponse();
+    }
+
+    const { searchParams } = new URL(request.url);
+    const symbolParam = searchParams.get('symbol');
+    const maxExpirations = parseInt(searchParams.get('maxExpirations')) || 12;
+    const strikeRange = parseFloat(searchParams.get('strikeRange')) || 0.2;
+    const gridRange = parseFloat(searchParams.get('gridRange')) || 0.1;
+    const gridPoints = Math.min(Math.max(parseInt(searchParams.get('gridPoints')) || 81, 3), 401);
+    const rate = parseFloat(searchParams.get('rate')) || 0;
+    const dividendYield = parseFloat(searchParams.get('dividendYield')) || 0;
+    const indexDividendYield = parseFloat(searchParams.get('indexDividendYield')) || 0;
+
+    if (!symbolParam) {
+      return NextResponse.json({
+        success: false,
+        error: 'Symbol parameter is required'
+      }, { status: 400 });
+    }
+
+    // Normalize symbol to match database storage (remove $ and .X suffix)
+    const symbol = symbolParam.replace(/^\$/, '').replace(/\.X$/, '');
+
+    // Special case: if symbol is SPX, also query SPXW
+    const queriedSymbols = symbol.toUpperCase() === 'SPX' ? ['SPX', 'SPXW'] : [symbol];
+
+    const rows = await OptionsDatabase.getCurrentContracts(queriedSymbols, maxExpirations);
+
+    const underlyingPrice = searchParams.get('underlyingPrice')
+      ? parseFloat(searchParams.get('underlyingPrice'))
+      : latestUnderlyingPrice(rows);
+
+    if (rows.length > 0 && !(underlyingPrice > 0)) {
+      return NextResponse.json({
+        success: false,
+        error: 'No underlying price stored for this symbol; pass underlyingPrice'
+      }, { status: 400 });
+    }
+
+    const gex = rows.length > 0
+      ? calculateGammaExposure(rows, { spot: underlyingPrice, gridRange, gridPoints, strikeRange, rate, dividendYield, indexDividendYield })
+      : null;
+
+    const expirations = new Set(rows.map(row => new Date(row.expiration_date).toISOString().slice(0, 10)));
+
+    return NextResponse.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      parameters: {
+        symbol: symbolParam,
+        queried_symbols: queriedSymbols,
+        maxExpirations,
+        strikeRange,
+        gridRange,
+        gridPoints,
+        underlyingPrice,
+        rate,
+        dividendYield,
+        indexDividendYield
+      },
+      summary: {
+        data_type: 'gamma_exposure',
+        expirations: [...expirations],
+        underlying_price: underlyingPrice,
+        contracts: gex?.contracts ?? 0,
+        skipped_contracts: gex?.skipped_contracts ?? 0,
+        total_gex: gex?.total_gex ?? null,
+        total_call_gex: gex?.total_call_gex ?? null,
+        total_put_gex: gex?.total_put_gex ?? null,
+        zero_gamma_level: gex?.zero_gamma_level ?? null,
+        peak_gex_strike: gex?.peak_gex_strike ?? null
+      },
+      data: {
+        strikes: gex?.strikes ?? [],
+        profile: gex?.profile ?? []
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Database query failed:', error.message);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    }, { status: 500 });
+  }
+}
@@ -1,9 +1,45 @@
 import { NextResponse } from 'next/server';
+import TokenManager from '../../../tokenManager.js';
+import { OptionsDatabase } from '../../../lib/database.js';
+import { checkMigrations } from '../../../lib/migrations.js';
+
+// Force dynamic rendering
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+
+  // Pending migrations are reported as DEGRADED; only an unreachable database fails the check
+  let migrations;
+  let databaseReachable = true;
+  try {
+    const status = await checkMigrations({ refresh: searchParams.get('refresh') === 'true' });
+    migrations = {
+      up_to_date: status.up_to_date,
+      current_version: status.current_version,
+      latest_version: status.latest_version,
+      pending: status.migrations.filter(migration => migration.status === 'pending').map(migration => `${migration.version}_${migration.name}`),
+      modified: status.migrations.filter(migration => migration.status === 'modified').map(migration => `${migration.version}_${migration.name}`),
+      checked_at: status.checked_at
+    };
+  } catch (error) {
+    console.error('❌ Migration check failed:', error.message);
+    migrations = { up_to_date: false, error: error.message };
+    databaseReachable = await OptionsDatabase.testConnection().catch(() => false);
+  }
+
+  // Pick up tokens persisted by another instance before reporting the token state
+  const tokenManager = TokenManager.getInstance();
+  await tokenManager.loadFromStore();
+
+  const status = !databaseReachable ? 'UNAVAILABLE' : migrations.up_to_date ? 'OK' : 'DEGRADED';
 
-export async function GET() {
   return NextResponse.json({ 
-    status: 'OK', 
+    status: status, 
     timestamp: new Date().toISOString(),
-    service: 'Trade Matrix Options Collector (Next.js)'
-  });
+    service: 'Trade Matrix Options Collector (Next.js)',
+    token_state: tokenManager.getState(),
+    database_reachable: databaseReachable,
+    migrations: migrations
+  }, { status: databaseReachable ? 200 : 503 });
 }
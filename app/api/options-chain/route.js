@@ -0,0 +1,91 @@
+import { NextResponse } from 'next/server';
+import { verifyApiKey, createUnauthorizedResponse } from '../../../lib/auth.js';
+import { OptionsDatabase } from '../../../lib/database.js';
+
+// Force dynamic rendering
+export const dynamic = 'force-dynamic';
+
+const GREEK_FIELDS = ['delta', 'gamma', 'theta', 'vega', 'implied_volatility'];
+
+export async function GET(request) {
+  try {
+    // Verify API key authentication
+    if (!verifyApiKey(request)) {
+      return createUnauthorizedResponse();
+    }
+
+    const { searchParams } = new URL(request.url);
+    const symbolParam = searchParams.get('symbol');
+    const expiration = searchParams.get('expiration');
+    const includeInvalid = searchParams.get('includeInvalid') === 'true';
+
+    if (!symbolParam) {
+      return NextResponse.json({
+        success: false,
+        error: 'Symbol parameter is required'
+      }, { status: 400 });
+    }
+
+    // Normalize symbol to match database storage (remove $ and .X suffix)
+    const symbol = symbolParam.replace(/^\$/, '').replace(/\.X$/, '');
+
+    // Special case: if symbol is SPX, also query SPXW
+    const queriedSymbols = symbol.toUpperCase() === 'SPX' ? ['SPX', 'SPXW'] : [symbol];
+
+    if (!expiration) {
+      const availableExpirations = await OptionsDatabase.getAvailableExpirations(queriedSymbols);
+      return NextResponse.json({
+        success: false,
+        error: 'Expiration parameter is required',
+        available_expirations: availableExpirations
+      }, { status: 400 });
+    }
+
+    let data = await OptionsDatabase.getOptionsChain(queriedSymbols, expiration, { includeInvalid });
+
+    // Only return Greek columns when at least one contract in the chain has them
+    const hasGreeks = data.some(row =>
+      GREEK_FIELDS.some(field => row[`call_${field}`] !== null || row[`put_${field}`] !== null)
+    );
+    if (!hasGreeks) {
+      data = data.map(row => {
+        const trimmed = { ...row };
+        GREEK_FIELDS.forEach(field => {
+          delete trimmed[`call_${field}`];
+          delete trimmed[`put_${field}`];
+        });
+        return trimmed;
+      });
+    }
+
+    const ages = data.map(row => row.data_age_seconds).filter(age => age !== null);
+
+    return NextResponse.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      parameters: {
+        symbol: symbolParam,
+        queried_symbols: queriedSymbols,
+        expiration,
+        includeInvalid
+      },
+      summary: {
+        total_strikes: data.length,
+        data_type: 'options_chain',
+        has_greeks: hasGreeks,
+        underlying_price: data.find(row => row.underlying_price !== null)?.underlying_price || null,
+        max_data_age_seconds: ages.length > 0 ? Math.max(...ages) : null,
+        min_data_age_seconds: ages.length > 0 ? Math.min(...ages) : null
+      },
+      data: data
+    });
+
+  } catch (error) {
+    console.error('❌ Database query failed:', error.message);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    }, { status: 500 });
+  }
+}
@@ -1,6 +1,8 @@
 import { NextResponse } from 'next/server';
 import { verifyApiKey, createUnauthorizedResponse } from '../../../lib/auth.js';
 import { OptionsDatabase } from '../../../lib/database.js';
+import { calculateOptionAnalytics } from '../../../lib/pricing.js';
+import { marketDate } from '../../../lib/expirationFilter.js';
 
 // Force dynamic rendering
 export const dynamic = 'force-dynamic';
@@ -16,7 +18,14 @@ export async function GET(request) {
     const symbol = searchParams.get('symbol');
     const startDate = searchParams.get('startDate');
     const endDate = searchParams.get('endDate');
-    const limit = parseInt(searchParams.get('limit')) || 100;
+    const resolution = searchParams.get('resolution');
+    const limit = parseInt(searchParams.get('limit')) || (resolution === 'daily' ? 1000 : 100);
+    const computeGreeks = searchParams.get('computeGreeks') === 'true';
+    const saveGreeks = searchParams.get('saveGreeks') === 'true';
+    const underlyingPrice = searchParams.get('underlyingPrice') ? parseFloat(searchParams.get('underlyingPrice')) : null;
+    const rate = parseFloat(searchParams.get('rate')) || 0;
+    const dividendYield = parseFloat(searchParams.get('dividendYield')) || 0;
+    const indexDividendYield = parseFloat(searchParams.get('indexDividendYield')) || 0;
 
     if (!symbol) {
       return NextResponse.json({
@@ -25,6 +34,43 @@ export async function GET(request) {
       }, { status: 400 });
     }
 
+    if (resolution && resolution !== 'daily') {
+      return NextResponse.json({
+        success: false,
+        error: 'resolution must be daily (omit it for intraday data)'
+      }, { status: 400 });
+    }
+
+    if (resolution === 'daily') {
+      // Daily bars from options_daily; startDate/endDate are trading dates (default: last 30 days)
+      const normalizedSymbol = symbol.replace(/^\$/, '').replace(/\.X$/, '');
+      const dailySymbols = normalizedSymbol.toUpperCase() === 'SPX' ? ['SPX', 'SPXW'] : [normalizedSymbol];
+      const dailyEndDate = endDate || marketDate();
+      const dailyStartDate = startDate
+        || new Date(Date.parse(dailyEndDate) - 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+      const bars = await OptionsDatabase.getDailyBars(dailySymbols, dailyStartDate, dailyEndDate, limit);
+
+      return NextResponse.json({
+        success: true,
+        timestamp: new Date().toISOString(),
+        parameters: {
+          symbol,
+          queried_symbols: dailySymbols,
+          resolution,
+          startDate: dailyStartDate,
+          endDate: dailyEndDate,
+          limit
+        },
+        summary: {
+          total_records: bars.length,
+          trade_dates: new Set(bars.map(bar => bar.trade_date)).size,
+          data_type: 'daily_bars'
+        },
+        data: bars
+      });
+    }
+
     let data;
     if (startDate) {
       // Get aggregated data by date range (startDate only or startDate + endDate)
@@ -42,6 +88,32 @@ export async function GET(request) {
       data = await OptionsDatabase.getLatestOptionsData(symbol, limit);
     }
 
+    // Calculate IV and Greeks from the stored quotes (latest data only)
+    let greeksSummary = null;
+    if (computeGreeks && !startDate) {
+      const now = new Date();
+      data = data.map(row => {
+        const analytics = calculateOptionAnalytics(
+          { ...row, symbol: row.option_symbol },
+          { underlyingPrice, rate, dividendYield, indexDividendYield, now }
+        );
+        return { ...row, calculated: analytics };
+      });
+
+      greeksSummary = {
+        calculated: data.filter(row => row.calculated.implied_volatility !== null).length,
+        unpriced: data.filter(row => row.calculated.implied_volatility === null).length,
+        saved: 0
+      };
+
+      if (saveGreeks) {
+        const saveResult = await OptionsDatabase.saveCalculatedGreeks(
+          data.map(row => ({ id: row.id, ...row.calculated }))
+        );
+        greeksSummary.saved = saveResult.updatedCount;
+      }
+    }
+
     // Determine which symbols were actually queried
     const queriedSymbols = symbol.toUpperCase() === 'SPX' && startDate ? ['SPX', 'SPXW'] : [symbol];
 
@@ -53,11 +125,14 @@ export async function GET(request) {
         queried_symbols: queriedSymbols,
         startDate,
         endDate,
-        limit
+        limit,
+        computeGreeks,
+        ...(computeGreeks && { underlyingPrice, rate, dividendYield, indexDividendYield, saveGreeks })
       },
       summary: {
         total_records: data.length,
-        data_type: startDate ? 'aggregated_by_strike' : 'latest_options'
+        data_type: startDate ? 'aggregated_by_strike' : 'latest_options',
+        ...(greeksSummary && { greeks: greeksSummary })
       },
       data: data
     });
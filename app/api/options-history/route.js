@@ -0,0 +1,82 @@
+import { NextResponse } from 'next/server';
+import { verifyApiKey, createUnauthorizedResponse } from '../../../lib/auth.js';
+import { OptionsDatabase } from '../../../lib/database.js';
+
+// Force dynamic rendering
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  try {
+    // Verify API key authentication
+    if (!verifyApiKey(request)) {
+      return createUnauthorizedResponse();
+    }
+
+    const { searchParams } = new URL(request.url);
+    const optionSymbol = searchParams.get('optionSymbol');
+    const symbol = searchParams.get('symbol');
+    const expiration = searchParams.get('expiration');
+    const strike = searchParams.get('strike');
+    const optionType = searchParams.get('optionType');
+    const startTime = searchParams.get('startTime');
+    const endTime = searchParams.get('endTime');
+    const limit = parseInt(searchParams.get('limit')) || 1000;
+
+    if (!optionSymbol && !(symbol && expiration && strike)) {
+      return NextResponse.json({
+        success: false,
+        error: 'Either optionSymbol or symbol, expiration and strike parameters are required'
+      }, { status: 400 });
+    }
+
+    if (optionType && !['Call', 'Put'].includes(optionType)) {
+      return NextResponse.json({
+        success: false,
+        error: 'optionType must be Call or Put'
+      }, { status: 400 });
+    }
+
+    let data;
+    let queriedSymbols;
+    if (optionSymbol) {
+      // Time series for a single contract
+      queriedSymbols = [optionSymbol.split(' ')[0]];
+      data = await OptionsDatabase.getOptionHistory(optionSymbol, startTime, endTime, limit);
+    } else {
+      // Special case: if symbol is SPX, also query SPXW
+      queriedSymbols = symbol.toUpperCase() === 'SPX' ? ['SPX', 'SPXW'] : [symbol];
+      data = await OptionsDatabase.getStrikeHistory(queriedSymbols, expiration, parseFloat(strike), optionType, startTime, endTime, limit);
+    }
+
+    return NextResponse.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      parameters: {
+        optionSymbol,
+        symbol,
+        queried_symbols: queriedSymbols,
+        expiration,
+        strike,
+        optionType,
+        startTime,
+        endTime,
+        limit
+      },
+      summary: {
+        total_records: data.length,
+        data_type: optionSymbol ? 'contract_history' : 'strike_history',
+        first_captured_at: data.length > 0 ? data[0].captured_at : null,
+        last_captured_at: data.length > 0 ? data[data.length - 1].captured_at : null
+      },
+      data: data
+    });
+
+  } catch (error) {
+    console.error('❌ Database query failed:', error.message);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,97 @@
+import { NextResponse } from 'next/server';
+import { verifyApiKey, createUnauthorizedResponse } from '../../../lib/auth.js';
+import { OptionsDatabase } from '../../../lib/database.js';
+import { marketDate } from '../../../lib/expirationFilter.js';
+
+// Force dynamic rendering
+export const dynamic = 'force-dynamic';
+
+/**
+ * Whether a value is a real calendar date in YYYY-MM-DD form
+ */
+function isTradeDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Roll up one trading date and build the response; shared by POST and GET
+ */
+async function runRollup(date) {
+  if (!isTradeDate(date)) {
+    return NextResponse.json({
+      success: false,
+      error: 'date must be a valid trading date (YYYY-MM-DD)'
+    }, { status: 400 });
+  }
+
+  const startTime = Date.now();
+  console.log(`📅 Rolling up daily option bars for ${date}...`);
+  const result = await OptionsDatabase.rollupDailyBars(date);
+  const duration = Date.now() - startTime;
+
+  return NextResponse.json({
+    success: true,
+    timestamp: new Date().toISOString(),
+    duration_ms: duration,
+    parameters: {
+      date
+    },
+    summary: {
+      total_bars: result.rowCount,
+      replaced_bars: result.replaced,
+      source: result.source,
+      data_type: 'options_daily'
+    },
+    result
+  });
+}
+
+export async function POST(request) {
+  try {
+    // Verify API key authentication
+    if (!verifyApiKey(request)) {
+      return createUnauthorizedResponse();
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const {
+      date = marketDate() // New York trading date to roll up (default: today)
+    } = body;
+
+    return await runRollup(date);
+
+  } catch (error) {
+    console.error('❌ Daily rollup failed:', error.message);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    }, { status: 500 });
+  }
+}
+
+export async function GET(request) {
+  try {
+    // Verify API key authentication
+    if (!verifyApiKey(request)) {
+      return createUnauthorizedResponse();
+    }
+
+    const { searchParams } = new URL(request.url);
+    const date = searchParams.get('date') || marketDate();
+
+    return await runRollup(date);
+
+  } catch (error) {
+    console.error('❌ GET Daily rollup failed:', error.message);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    }, { status: 500 });
+  }
+}
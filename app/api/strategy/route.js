@@ -0,0 +1,105 @@
+import { NextResponse } from 'next/server';
+import { verifyApiKey, createUnauthorizedResponse } from '../../../lib/auth.js';
+import { OptionsDatabase } from '../../../lib/database.js';
+import { latestUnderlyingPrice } from '../../../lib/analytics.js';
+import { analyzeStrategy, validateStrategyRequest } from '../../../lib/strategy.js';
+
+// Force dynamic rendering
+export const dynamic = 'force-dynamic';
+
+export async function POST(request) {
+  try {
+    // Verify API key authentication
+    if (!verifyApiKey(request)) {
+      return createUnauthorizedResponse();
+    }
+
+    const body = await request.json();
+
+    // Validate legs and pricing options
+    const { strategy, errors } = validateStrategyRequest(body);
+    if (errors.length > 0) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid strategy parameters',
+        details: errors,
+        timestamp: new Date().toISOString()
+      }, { status: 400 });
+    }
+
+    // Look up the stored contract for every leg
+    const contracts = await Promise.all(strategy.legs.map(leg => OptionsDatabase.getContract({
+      optionSymbol: leg.optionSymbol,
+      // Special case: if symbol is SPX, also query SPXW
+      symbols: leg.symbol && leg.symbol.toUpperCase() === 'SPX' ? ['SPX', 'SPXW'] : [leg.symbol],
+      expirationDate: leg.expiration,
+      strike: leg.strike,
+      optionType: leg.optionType
+    })));
+
+    const missing = contracts
+      .map((contract, index) => contract ? null : `legs[${index}] was not found in the stored chain`)
+      .filter(Boolean);
+    if (missing.length > 0) {
+      return NextResponse.json({
+        success: false,
+        error: 'Unknown option contracts',
+        details: missing,
+        timestamp: new Date().toISOString()
+      }, { status: 404 });
+    }
+
+    const underlyingPrice = strategy.underlyingPrice ?? latestUnderlyingPrice(contracts);
+    if (!(underlyingPrice > 0)) {
+      return NextResponse.json({
+        success: false,
+        error: 'No underlying price stored for these contracts; pass underlyingPrice',
+        timestamp: new Date().toISOString()
+      }, { status: 400 });
+    }
+
+    const analysis = analyzeStrategy(
+      strategy.legs.map((leg, index) => ({ ...leg, contract: contracts[index] })),
+      { ...strategy, underlyingPrice }
+    );
+    if (analysis.errors.length > 0) {
+      return NextResponse.json({
+        success: false,
+        error: 'Strategy legs cannot be priced',
+        details: analysis.errors,
+        timestamp: new Date().toISOString()
+      }, { status: 422 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      parameters: {
+        pricing: strategy.pricing,
+        underlyingPrice,
+        rate: strategy.rate,
+        dividendYield: strategy.dividendYield,
+        indexDividendYield: strategy.indexDividendYield,
+        spotRange: strategy.spotRange,
+        points: strategy.points,
+        evaluationDate: strategy.evaluationDate
+      },
+      summary: {
+        data_type: 'strategy',
+        ...analysis.summary
+      },
+      data: {
+        legs: analysis.legs,
+        payoff: analysis.payoff
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Strategy analysis failed:', error.message);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,97 @@
+import { NextResponse } from 'next/server';
+import { verifyApiKey, createUnauthorizedResponse } from '../../../lib/auth.js';
+import { OptionsDatabase } from '../../../lib/database.js';
+import { SURFACE_AXES, buildVolSurface } from '../../../lib/volSurface.js';
+import { latestUnderlyingPrice } from '../../../lib/analytics.js';
+
+// Force dynamic rendering
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  try {
+    // Verify API key authentication
+    if (!verifyApiKey(request)) {
+      return createUnauthorizedResponse();
+    }
+
+    const { searchParams } = new URL(request.url);
+    const symbolParam = searchParams.get('symbol');
+    const axis = searchParams.get('axis') || 'strike';
+    const strikeRange = parseFloat(searchParams.get('strikeRange')) || 0.2;
+    const maxExpirations = parseInt(searchParams.get('maxExpirations')) || 12;
+    const rate = parseFloat(searchParams.get('rate')) || 0;
+    const dividendYield = parseFloat(searchParams.get('dividendYield')) || 0;
+    const indexDividendYield = parseFloat(searchParams.get('indexDividendYield')) || 0;
+
+    if (!symbolParam) {
+      return NextResponse.json({
+        success: false,
+        error: 'Symbol parameter is required'
+      }, { status: 400 });
+    }
+
+    if (!SURFACE_AXES.includes(axis)) {
+      return NextResponse.json({
+        success: false,
+        error: `axis must be one of: ${SURFACE_AXES.join(', ')}`
+      }, { status: 400 });
+    }
+
+    // Normalize symbol to match database storage (remove $ and .X suffix)
+    const symbol = symbolParam.replace(/^\$/, '').replace(/\.X$/, '');
+
+    // Special case: if symbol is SPX, also query SPXW
+    const queriedSymbols = symbol.toUpperCase() === 'SPX' ? ['SPX', 'SPXW'] : [symbol];
+
+    const rows = await OptionsDatabase.getLatestQuotesByExpiration(queriedSymbols, maxExpirations);
+
+    const underlyingPrice = searchParams.get('underlyingPrice')
+      ? parseFloat(searchParams.get('underlyingPrice'))
+      : latestUnderlyingPrice(rows);
+
+    if (rows.length > 0 && !(underlyingPrice > 0)) {
+      return NextResponse.json({
+        success: false,
+        error: 'No underlying price stored for this symbol; pass underlyingPrice'
+      }, { status: 400 });
+    }
+
+    const surface = rows.length > 0
+      ? buildVolSurface(rows, { spot: underlyingPrice, axis, strikeRange, rate, dividendYield, indexDividendYield })
+      : { axis, underlying_price: null, x: [], y: [], days_to_expiration: [], iv: [], interpolated: [], term_structure: [], smiles: [] };
+
+    const ages = rows.map(row => (Date.now() - new Date(row.timestamp).getTime()) / 1000);
+
+    return NextResponse.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      parameters: {
+        symbol: symbolParam,
+        queried_symbols: queriedSymbols,
+        axis,
+        strikeRange,
+        maxExpirations,
+        underlyingPrice,
+        rate,
+        dividendYield,
+        indexDividendYield
+      },
+      summary: {
+        total_quotes: rows.length,
+        expirations: surface.y.length,
+        columns: surface.x.length,
+        data_type: 'vol_surface',
+        max_data_age_seconds: ages.length > 0 ? Math.round(Math.max(...ages)) : null
+      },
+      data: surface
+    });
+
+  } catch (error) {
+    console.error('❌ Database query failed:', error.message);
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    }, { status: 500 });
+  }
+}
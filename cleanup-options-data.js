@@ -3,15 +3,16 @@
 /**
  * Standalone Options Data Cleanup Script
  * 
- * This script allows manual cleanup of old options data from the database.
- * It can clean up data for specific symbols or all symbols.
+ * This script applies the retention policy from options-config.json: old current
+ * quotes are deleted and snapshot history past each tier's keepDays is dropped by partition.
+ * The current-data cleanup can be limited to specific symbols.
  * 
  * Usage:
  *   node cleanup-options-data.js [options]
  * 
  * Options:
  *   --symbols <symbol1,symbol2,...>  Clean up specific symbols (comma-separated)
- *   --keep-hours <hours>             Number of hours of recent data to keep (default: 0.5 = 30 minutes)
+ *   --keep-hours <hours>             Hours of current data to keep (default: retention policy, 0.5 = 30 minutes)
  *   --dry-run                        Show what would be deleted without actually deleting
  *   --all                            Clean up all symbols in the database
  *   --help                           Show this help message
@@ -23,6 +24,7 @@
  */
 
 import { OptionsDatabase } from './lib/database.js';
+import { applyRetentionPolicy, loadRetentionPolicy } from './lib/retention.js';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
@@ -37,7 +39,7 @@ function parseArguments() {
   const args = process.argv.slice(2);
   const options = {
     symbols: null,
-    keepHours: 0.5,
+    keepHours: null,
     dryRun: false,
     all: false,
     help: false
@@ -59,8 +61,8 @@ function parseArguments() {
         
       case '--keep-hours':
         if (i + 1 < args.length) {
-          const hours = parseInt(args[i + 1]);
-          if (isNaN(hours) || hours < 1) {
+          const hours = parseFloat(args[i + 1]);
+          if (isNaN(hours) || hours <= 0) {
             console.error('❌ --keep-hours must be a positive number');
             process.exit(1);
           }
@@ -98,14 +100,14 @@ function showHelp() {
   console.log(`
 🧹 Options Data Cleanup Script
 
-This script allows manual cleanup of old options data from the database.
+Applies the retention policy from options-config.json to the database.
 
 Usage:
   node cleanup-options-data.js [options]
 
 Options:
   --symbols <symbol1,symbol2,...>  Clean up specific symbols (comma-separated)
-  --keep-hours <hours>             Number of hours of recent data to keep (default: 0.5 = 30 minutes)
+  --keep-hours <hours>             Hours of current data to keep (default: retention policy, 0.5 = 30 minutes)
   --dry-run                        Show what would be deleted without actually deleting
   --all                            Clean up all symbols in the database
   --help                           Show this help message
@@ -118,6 +120,7 @@ Examples:
 Notes:
   - The script uses the DATABASE_URL environment variable for connection
   - Dry run mode shows what would be deleted without making changes
+  - Snapshot history is always cleaned for every symbol; --symbols only limits the current data
   - All operations are logged with detailed information
   - The script maintains data integrity with database transactions
 `);
@@ -144,10 +147,16 @@ async function main() {
     process.exit(1);
   }
 
+  const policy = loadRetentionPolicy();
+  const keepHours = options.keepHours ?? policy.current.keepHours;
+
   console.log('🧹 Options Data Cleanup Script');
   console.log('================================');
   console.log(`📊 Mode: ${options.dryRun ? 'DRY RUN (no changes will be made)' : 'LIVE (changes will be made)'}`);
-  console.log(`⏰ Keep hours: ${options.keepHours}`);
+  console.log(`⏰ Keep hours: ${keepHours}`);
+  policy.tiers.forEach(tier => {
+    console.log(`📦 Tier ${tier.name} (${tier.resolution}): keep ${tier.keepDays === null ? 'forever' : `${tier.keepDays} days`}`);
+  });
   
   if (options.all) {
     console.log('🎯 Target: All symbols in database');
@@ -167,15 +176,17 @@ async function main() {
     console.log('✅ Database connection successful');
     console.log('---');
 
-    let result;
-    
     if (options.all) {
       console.log('🧹 Starting cleanup for all symbols...');
-      result = await OptionsDatabase.cleanupAllOldOptionsData(options.keepHours, options.dryRun);
     } else {
       console.log(`🧹 Starting cleanup for symbols: ${options.symbols.join(', ')}`);
-      result = await OptionsDatabase.cleanupOldOptionsData(options.symbols, options.keepHours, options.dryRun);
     }
+    const result = await applyRetentionPolicy({
+      symbols: options.all ? null : options.symbols,
+      keepHours,
+      dryRun: options.dryRun,
+      policy
+    });
 
     // Display results
     console.log('---');
@@ -198,6 +209,14 @@ async function main() {
       });
     }
 
+    console.log('\n📦 Snapshot History Tiers:');
+    result.retention.tiers.forEach(tier => {
+      const action = tier.action === 'would_drop' ? 'WOULD DROP' :
+                    tier.action === 'dropped' ? 'DROPPED' : 'NO ACTION';
+      const downsampled = tier.downsampledRows !== null ? `, ${tier.downsampledRows} rows downsampled` : '';
+      console.log(`  ${tier.name} (${tier.table}): ${action} ${tier.partitionsDropped.length} partitions (~${tier.estimatedRowsDropped} rows)${downsampled}`);
+    });
+
     if (options.dryRun) {
       console.log('\n💡 This was a dry run. No data was actually deleted.');
       console.log('   Run without --dry-run to perform the actual cleanup.');
@@ -0,0 +1,7 @@
+-- Drops every table of the baseline schema, including all collected data
+DROP TABLE IF EXISTS oauth_tokens;
+DROP TABLE IF EXISTS options_alerts;
+DROP TABLE IF EXISTS underlying_quotes;
+DROP TABLE IF EXISTS options_spreads;
+DROP TABLE IF EXISTS options_snapshots;
+DROP TABLE IF EXISTS options_data;
@@ -0,0 +1,244 @@
+-- Options Data Schema for Trade Matrix Options Collector
+-- This table stores options chain data collected from TradeStation API
+-- Baseline migration: every statement is idempotent, so it also applies cleanly to
+-- databases created from the former database/options-schema.sql
+
+CREATE TABLE IF NOT EXISTS options_data (
+    id SERIAL PRIMARY KEY,
+    symbol VARCHAR(20) NOT NULL,  -- Underlying symbol (e.g., AAPL, $SPX.X)
+    expiration_date TIMESTAMP WITH TIME ZONE NOT NULL,
+    strike DECIMAL(10,2) NOT NULL,
+    expiration_type VARCHAR(20) NOT NULL CHECK (expiration_type IN ('Weekly', 'Monthly')),
+    ask DECIMAL(10,2),
+    bid DECIMAL(10,2),
+    mid DECIMAL(10,2),
+    close DECIMAL(10,2),
+    high DECIMAL(10,2),
+    last DECIMAL(10,2),
+    low DECIMAL(10,2),
+    open DECIMAL(10,2),
+    previous_close DECIMAL(10,2),
+    -- Greeks and implied volatility (only populated when collected with enableGreeks)
+    delta DECIMAL(12,6),
+    gamma DECIMAL(12,6),
+    theta DECIMAL(12,6),
+    vega DECIMAL(12,6),
+    rho DECIMAL(12,6),
+    implied_volatility DECIMAL(12,6),
+    greeks_source VARCHAR(20) CHECK (greeks_source IN ('stream', 'calculated')),
+    -- Per-contract market activity and the underlying price at capture
+    bid_size INTEGER,
+    ask_size INTEGER,
+    volume BIGINT,
+    open_interest BIGINT,
+    underlying_price DECIMAL(12,4),
+    -- Underlying quote this row was captured against (underlying_quotes.symbol, underlying_quotes.captured_at)
+    underlying_symbol VARCHAR(20),
+    underlying_captured_at TIMESTAMP WITH TIME ZONE,
+    -- Quote validation result (lib/quoteQuality.js): ok, suspect or invalid, and the checks that failed
+    quality VARCHAR(10) CHECK (quality IN ('ok', 'suspect', 'invalid')),
+    quality_flags TEXT[],
+    option_type VARCHAR(10) NOT NULL CHECK (option_type IN ('Put', 'Call')),
+    option_symbol VARCHAR(100) NOT NULL,  -- Full option symbol (e.g., AAPL 250919P232.5)
+    timestamp TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    -- Unique constraint to prevent duplicates
+    UNIQUE(option_symbol)
+);
+
+-- Add Greeks columns to tables created before they were introduced
+ALTER TABLE options_data ADD COLUMN IF NOT EXISTS delta DECIMAL(12,6);
+ALTER TABLE options_data ADD COLUMN IF NOT EXISTS gamma DECIMAL(12,6);
+ALTER TABLE options_data ADD COLUMN IF NOT EXISTS theta DECIMAL(12,6);
+ALTER TABLE options_data ADD COLUMN IF NOT EXISTS vega DECIMAL(12,6);
+ALTER TABLE options_data ADD COLUMN IF NOT EXISTS rho DECIMAL(12,6);
+ALTER TABLE options_data ADD COLUMN IF NOT EXISTS implied_volatility DECIMAL(12,6);
+-- 'stream' when TradeStation supplied the Greeks, 'calculated' when filled in by lib/pricing.js
+ALTER TABLE options_data ADD COLUMN IF NOT EXISTS greeks_source VARCHAR(20);
+
+-- Add market activity columns to tables created before they were introduced
+ALTER TABLE options_data ADD COLUMN IF NOT EXISTS bid_size INTEGER;
+ALTER TABLE options_data ADD COLUMN IF NOT EXISTS ask_size INTEGER;
+ALTER TABLE options_data ADD COLUMN IF NOT EXISTS volume BIGINT;
+ALTER TABLE options_data ADD COLUMN IF NOT EXISTS open_interest BIGINT;
+ALTER TABLE options_data ADD COLUMN IF NOT EXISTS underlying_price DECIMAL(12,4);
+ALTER TABLE options_data ADD COLUMN IF NOT EXISTS underlying_symbol VARCHAR(20);
+ALTER TABLE options_data ADD COLUMN IF NOT EXISTS underlying_captured_at TIMESTAMP WITH TIME ZONE;
+
+-- Add quote quality columns to tables created before they were introduced
+ALTER TABLE options_data ADD COLUMN IF NOT EXISTS quality VARCHAR(10);
+ALTER TABLE options_data ADD COLUMN IF NOT EXISTS quality_flags TEXT[];
+
+-- Indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_options_data_expiration_date ON options_data(expiration_date);
+CREATE INDEX IF NOT EXISTS idx_options_data_symbol ON options_data(symbol);
+CREATE INDEX IF NOT EXISTS idx_options_data_strike ON options_data(strike);
+CREATE INDEX IF NOT EXISTS idx_options_data_option_type ON options_data(option_type);
+CREATE INDEX IF NOT EXISTS idx_options_data_expiration_type ON options_data(expiration_type);
+CREATE INDEX IF NOT EXISTS idx_options_data_timestamp ON options_data(timestamp);
+
+-- Composite index for common queries
+CREATE INDEX IF NOT EXISTS idx_options_data_symbol_expiration ON options_data(symbol, expiration_date);
+CREATE INDEX IF NOT EXISTS idx_options_data_symbol_strike ON options_data(symbol, strike);
+-- Append-only history of every collected quote
+-- options_data keeps the current state per contract; options_snapshots keeps every capture
+CREATE TABLE IF NOT EXISTS options_snapshots (
+    id BIGSERIAL PRIMARY KEY,
+    option_symbol VARCHAR(100) NOT NULL,  -- Full option symbol (e.g., AAPL 250919P232.5)
+    symbol VARCHAR(20) NOT NULL,  -- Underlying symbol (e.g., AAPL, SPXW)
+    expiration_date TIMESTAMP WITH TIME ZONE NOT NULL,
+    strike DECIMAL(10,2) NOT NULL,
+    expiration_type VARCHAR(20) NOT NULL,
+    option_type VARCHAR(10) NOT NULL CHECK (option_type IN ('Put', 'Call')),
+    ask DECIMAL(10,2),
+    bid DECIMAL(10,2),
+    mid DECIMAL(10,2),
+    close DECIMAL(10,2),
+    high DECIMAL(10,2),
+    last DECIMAL(10,2),
+    low DECIMAL(10,2),
+    open DECIMAL(10,2),
+    previous_close DECIMAL(10,2),
+    delta DECIMAL(12,6),
+    gamma DECIMAL(12,6),
+    theta DECIMAL(12,6),
+    vega DECIMAL(12,6),
+    rho DECIMAL(12,6),
+    implied_volatility DECIMAL(12,6),
+    greeks_source VARCHAR(20),
+    bid_size INTEGER,
+    ask_size INTEGER,
+    volume BIGINT,
+    open_interest BIGINT,
+    underlying_price DECIMAL(12,4),
+    underlying_symbol VARCHAR(20),
+    underlying_captured_at TIMESTAMP WITH TIME ZONE,
+    quality VARCHAR(10),
+    quality_flags TEXT[],
+    captured_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    -- One row per contract per capture
+    UNIQUE(option_symbol, captured_at)
+);
+
+ALTER TABLE options_snapshots ADD COLUMN IF NOT EXISTS bid_size INTEGER;
+ALTER TABLE options_snapshots ADD COLUMN IF NOT EXISTS ask_size INTEGER;
+ALTER TABLE options_snapshots ADD COLUMN IF NOT EXISTS volume BIGINT;
+ALTER TABLE options_snapshots ADD COLUMN IF NOT EXISTS open_interest BIGINT;
+ALTER TABLE options_snapshots ADD COLUMN IF NOT EXISTS underlying_price DECIMAL(12,4);
+ALTER TABLE options_snapshots ADD COLUMN IF NOT EXISTS greeks_source VARCHAR(20);
+ALTER TABLE options_snapshots ADD COLUMN IF NOT EXISTS underlying_symbol VARCHAR(20);
+ALTER TABLE options_snapshots ADD COLUMN IF NOT EXISTS underlying_captured_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE options_snapshots ADD COLUMN IF NOT EXISTS quality VARCHAR(10);
+ALTER TABLE options_snapshots ADD COLUMN IF NOT EXISTS quality_flags TEXT[];
+
+CREATE INDEX IF NOT EXISTS idx_options_snapshots_captured_at ON options_snapshots(captured_at);
+CREATE INDEX IF NOT EXISTS idx_options_snapshots_strike_series ON options_snapshots(symbol, expiration_date, strike, captured_at);
+
+-- Multi-leg chain rows (straddles, strangles, ...)
+-- The quote belongs to the spread as a whole, so it is stored once here instead of on each leg
+CREATE TABLE IF NOT EXISTS options_spreads (
+    id BIGSERIAL PRIMARY KEY,
+    symbol VARCHAR(20) NOT NULL,  -- Underlying symbol (e.g., AAPL, SPXW)
+    spread_type VARCHAR(20) NOT NULL,  -- Straddle, Strangle, Vertical or Custom
+    spread_symbol VARCHAR(255) NOT NULL,  -- Comma-separated leg symbols
+    expiration_date TIMESTAMP WITH TIME ZONE NOT NULL,
+    expiration_type VARCHAR(20) NOT NULL,
+    strikes JSONB NOT NULL,
+    legs JSONB NOT NULL,  -- [{ symbol, option_type, strike, ratio }]
+    ask DECIMAL(10,2),
+    bid DECIMAL(10,2),
+    mid DECIMAL(10,2),
+    close DECIMAL(10,2),
+    high DECIMAL(10,2),
+    last DECIMAL(10,2),
+    low DECIMAL(10,2),
+    open DECIMAL(10,2),
+    previous_close DECIMAL(10,2),
+    bid_size INTEGER,
+    ask_size INTEGER,
+    volume BIGINT,
+    open_interest BIGINT,
+    underlying_price DECIMAL(12,4),
+    delta DECIMAL(12,6),
+    gamma DECIMAL(12,6),
+    theta DECIMAL(12,6),
+    vega DECIMAL(12,6),
+    rho DECIMAL(12,6),
+    implied_volatility DECIMAL(12,6),
+    underlying_symbol VARCHAR(20),
+    underlying_captured_at TIMESTAMP WITH TIME ZONE,
+    captured_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    -- One row per spread per capture
+    UNIQUE(spread_symbol, captured_at)
+);
+
+ALTER TABLE options_spreads ADD COLUMN IF NOT EXISTS underlying_symbol VARCHAR(20);
+ALTER TABLE options_spreads ADD COLUMN IF NOT EXISTS underlying_captured_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_options_spreads_symbol_expiration ON options_spreads(symbol, expiration_date);
+CREATE INDEX IF NOT EXISTS idx_options_spreads_captured_at ON options_spreads(captured_at);
+
+-- Underlying quote fetched at the start of each collection run
+-- Chain rows point at it through (underlying_symbol, underlying_captured_at)
+CREATE TABLE IF NOT EXISTS underlying_quotes (
+    id BIGSERIAL PRIMARY KEY,
+    symbol VARCHAR(20) NOT NULL,  -- Collected symbol without $ and .X (e.g., SPX, SPXW, AAPL)
+    quote_symbol VARCHAR(20) NOT NULL,  -- Symbol the quote was requested for (e.g., $SPX.X)
+    last DECIMAL(12,4),
+    bid DECIMAL(12,4),
+    ask DECIMAL(12,4),
+    mid DECIMAL(12,4),
+    open DECIMAL(12,4),
+    high DECIMAL(12,4),
+    low DECIMAL(12,4),
+    close DECIMAL(12,4),
+    previous_close DECIMAL(12,4),
+    volume BIGINT,
+    trade_time TIMESTAMP WITH TIME ZONE,
+    captured_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    -- One quote per symbol per capture
+    UNIQUE(symbol, captured_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_underlying_quotes_captured_at ON underlying_quotes(captured_at);
+CREATE INDEX IF NOT EXISTS idx_options_snapshots_underlying ON options_snapshots(underlying_symbol, underlying_captured_at);
+
+-- Unusual options activity found by the scan at the end of each collection (lib/alerts.js)
+CREATE TABLE IF NOT EXISTS options_alerts (
+    id BIGSERIAL PRIMARY KEY,
+    symbol VARCHAR(20) NOT NULL,  -- Underlying symbol (e.g., AAPL, SPXW)
+    option_symbol VARCHAR(100) NOT NULL,
+    expiration_date TIMESTAMP WITH TIME ZONE NOT NULL,
+    strike DECIMAL(10,2) NOT NULL,
+    option_type VARCHAR(10) NOT NULL CHECK (option_type IN ('Put', 'Call')),
+    alert_type VARCHAR(20) NOT NULL CHECK (alert_type IN ('volume_oi', 'volume_average', 'quote_move', 'iv_spike')),
+    value DECIMAL(16,6),  -- Observed value (volume, price or IV)
+    baseline DECIMAL(16,6),  -- What it was compared against (open interest, average, previous price or average IV)
+    score DECIMAL(16,6),  -- value / baseline
+    details JSONB,
+    captured_at TIMESTAMP WITH TIME ZONE NOT NULL,  -- Snapshot that triggered the alert
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    -- One alert per contract, type and snapshot
+    UNIQUE(option_symbol, alert_type, captured_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_options_alerts_symbol_captured_at ON options_alerts(symbol, captured_at);
+CREATE INDEX IF NOT EXISTS idx_options_alerts_captured_at ON options_alerts(captured_at);
+
+-- Persisted OAuth tokens (used when TOKEN_STORE=postgres)
+-- Keeps the access token across serverless cold starts and the latest rotated refresh token
+CREATE TABLE IF NOT EXISTS oauth_tokens (
+    provider VARCHAR(50) PRIMARY KEY,  -- e.g. tradestation
+    access_token TEXT,
+    refresh_token TEXT,
+    token_expiry TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
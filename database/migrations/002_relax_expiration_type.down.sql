@@ -0,0 +1,4 @@
+-- NOT VALID keeps rows with other expiration types; only new rows are checked again
+ALTER TABLE options_data DROP CONSTRAINT IF EXISTS options_data_expiration_type_check;
+ALTER TABLE options_data ADD CONSTRAINT options_data_expiration_type_check
+    CHECK (expiration_type IN ('Weekly', 'Monthly')) NOT VALID;
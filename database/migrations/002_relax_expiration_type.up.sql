@@ -0,0 +1,3 @@
+-- TradeStation also returns Daily, Quarterly and EOM expirations; the Weekly/Monthly
+-- CHECK rejected them and rolled back the whole insert batch
+ALTER TABLE options_data DROP CONSTRAINT IF EXISTS options_data_expiration_type_check;
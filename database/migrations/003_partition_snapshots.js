@@ -0,0 +1,150 @@
+import { partitionRanges, createPartitionSql } from '../../lib/partitions.js';
+
+/**
+ * Move options_snapshots onto daily range partitions and add the downsampled
+ * history tiers used by the retention policy (lib/retention.js):
+ * - options_snapshots_hourly: last snapshot per contract and hour, monthly partitions
+ * - options_snapshots_eod: last snapshot per contract and trading date, yearly partitions
+ * Existing snapshots are copied into the new table with their ids.
+ */
+
+// Snapshot columns shared by the raw table and both downsampled tiers
+const SNAPSHOT_COLUMNS = `
+    option_symbol VARCHAR(100) NOT NULL,
+    symbol VARCHAR(20) NOT NULL,
+    expiration_date TIMESTAMP WITH TIME ZONE NOT NULL,
+    strike DECIMAL(10,2) NOT NULL,
+    expiration_type VARCHAR(20) NOT NULL,
+    option_type VARCHAR(10) NOT NULL CHECK (option_type IN ('Put', 'Call')),
+    ask DECIMAL(10,2),
+    bid DECIMAL(10,2),
+    mid DECIMAL(10,2),
+    close DECIMAL(10,2),
+    high DECIMAL(10,2),
+    last DECIMAL(10,2),
+    low DECIMAL(10,2),
+    open DECIMAL(10,2),
+    previous_close DECIMAL(10,2),
+    delta DECIMAL(12,6),
+    gamma DECIMAL(12,6),
+    theta DECIMAL(12,6),
+    vega DECIMAL(12,6),
+    rho DECIMAL(12,6),
+    implied_volatility DECIMAL(12,6),
+    greeks_source VARCHAR(20),
+    bid_size INTEGER,
+    ask_size INTEGER,
+    volume BIGINT,
+    open_interest BIGINT,
+    underlying_price DECIMAL(12,4),
+    underlying_symbol VARCHAR(20),
+    underlying_captured_at TIMESTAMP WITH TIME ZONE,
+    quality VARCHAR(10),
+    quality_flags TEXT[],
+    captured_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()`;
+
+const COPIED_COLUMNS = `
+    id, option_symbol, symbol, expiration_date, strike, expiration_type, option_type,
+    ask, bid, mid, close, high, last, low, open, previous_close,
+    delta, gamma, theta, vega, rho, implied_volatility, greeks_source,
+    bid_size, ask_size, volume, open_interest, underlying_price,
+    underlying_symbol, underlying_captured_at, quality, quality_flags, captured_at, created_at`;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function createPartitions(client, table, from, to) {
+  for (const range of partitionRanges(table, from, to)) {
+    await client.query(createPartitionSql(table, range));
+  }
+}
+
+export async function up(client) {
+  // Keep the old table, its id sequence and data until everything is copied
+  await client.query(`
+    ALTER TABLE options_snapshots RENAME TO options_snapshots_unpartitioned;
+    ALTER TABLE options_snapshots_unpartitioned
+      DROP CONSTRAINT IF EXISTS options_snapshots_pkey,
+      DROP CONSTRAINT IF EXISTS options_snapshots_option_symbol_captured_at_key;
+    DROP INDEX IF EXISTS idx_options_snapshots_captured_at;
+    DROP INDEX IF EXISTS idx_options_snapshots_strike_series;
+
+    CREATE TABLE options_snapshots (
+      id BIGINT NOT NULL DEFAULT nextval('options_snapshots_id_seq'),
+      ${SNAPSHOT_COLUMNS},
+
+      -- The partition key has to be part of every unique constraint
+      PRIMARY KEY (id, captured_at),
+      UNIQUE (option_symbol, captured_at)
+    ) PARTITION BY RANGE (captured_at);
+
+    ALTER SEQUENCE options_snapshots_id_seq OWNED BY options_snapshots.id;
+
+    CREATE INDEX IF NOT EXISTS idx_options_snapshots_captured_at ON options_snapshots(captured_at);
+    CREATE INDEX IF NOT EXISTS idx_options_snapshots_strike_series ON options_snapshots(symbol, expiration_date, strike, captured_at);
+  `);
+
+  // Partitions for every day that has snapshots, plus the next few days
+  const { rows } = await client.query('SELECT MIN(captured_at) AS oldest FROM options_snapshots_unpartitioned');
+  const now = new Date();
+  await createPartitions(client, 'options_snapshots', rows[0].oldest || now, new Date(now.getTime() + 3 * DAY_MS));
+
+  await client.query(`
+    INSERT INTO options_snapshots (${COPIED_COLUMNS})
+    SELECT ${COPIED_COLUMNS} FROM options_snapshots_unpartitioned;
+
+    DROP TABLE options_snapshots_unpartitioned;
+
+    CREATE TABLE IF NOT EXISTS options_snapshots_hourly (
+      bucket TIMESTAMP WITH TIME ZONE NOT NULL,  -- Start of the hour; captured_at is the snapshot kept for it
+      ${SNAPSHOT_COLUMNS},
+
+      PRIMARY KEY (option_symbol, bucket)
+    ) PARTITION BY RANGE (bucket);
+
+    CREATE INDEX IF NOT EXISTS idx_options_snapshots_hourly_strike_series ON options_snapshots_hourly(symbol, expiration_date, strike, bucket);
+
+    CREATE TABLE IF NOT EXISTS options_snapshots_eod (
+      trade_date DATE NOT NULL,  -- New York trading date; captured_at is the day's last snapshot
+      ${SNAPSHOT_COLUMNS},
+
+      PRIMARY KEY (option_symbol, trade_date)
+    ) PARTITION BY RANGE (trade_date);
+
+    CREATE INDEX IF NOT EXISTS idx_options_snapshots_eod_strike_series ON options_snapshots_eod(symbol, expiration_date, strike, trade_date);
+  `);
+
+  await createPartitions(client, 'options_snapshots_hourly', rows[0].oldest || now, now);
+  await createPartitions(client, 'options_snapshots_eod', rows[0].oldest || now, now);
+}
+
+export async function down(client) {
+  // Back to a single table; the downsampled tiers are dropped with their data
+  await client.query(`
+    ALTER TABLE options_snapshots RENAME TO options_snapshots_partitioned;
+    ALTER TABLE options_snapshots_partitioned
+      DROP CONSTRAINT IF EXISTS options_snapshots_pkey,
+      DROP CONSTRAINT IF EXISTS options_snapshots_option_symbol_captured_at_key;
+    DROP INDEX IF EXISTS idx_options_snapshots_captured_at;
+    DROP INDEX IF EXISTS idx_options_snapshots_strike_series;
+
+    CREATE TABLE options_snapshots (
+      id BIGINT PRIMARY KEY DEFAULT nextval('options_snapshots_id_seq'),
+      ${SNAPSHOT_COLUMNS},
+
+      UNIQUE (option_symbol, captured_at)
+    );
+
+    ALTER SEQUENCE options_snapshots_id_seq OWNED BY options_snapshots.id;
+
+    CREATE INDEX IF NOT EXISTS idx_options_snapshots_captured_at ON options_snapshots(captured_at);
+    CREATE INDEX IF NOT EXISTS idx_options_snapshots_strike_series ON options_snapshots(symbol, expiration_date, strike, captured_at);
+
+    INSERT INTO options_snapshots (${COPIED_COLUMNS})
+    SELECT ${COPIED_COLUMNS} FROM options_snapshots_partitioned;
+
+    DROP TABLE options_snapshots_partitioned;
+    DROP TABLE IF EXISTS options_snapshots_hourly;
+    DROP TABLE IF EXISTS options_snapshots_eod;
+  `);
+}
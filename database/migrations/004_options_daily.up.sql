@@ -0,0 +1,36 @@
+-- Daily option bars rolled up from the intraday snapshots (OptionsDatabase.rollupDailyBars)
+-- One row per contract and New York trading date; rerunning the rollup replaces the date
+CREATE TABLE IF NOT EXISTS options_daily (
+    trade_date DATE NOT NULL,
+    option_symbol VARCHAR(100) NOT NULL,
+    symbol VARCHAR(20) NOT NULL,  -- Option root (e.g., SPXW, AAPL)
+    expiration_date TIMESTAMP WITH TIME ZONE NOT NULL,
+    strike DECIMAL(10,2) NOT NULL,
+    expiration_type VARCHAR(20) NOT NULL,
+    option_type VARCHAR(10) NOT NULL CHECK (option_type IN ('Put', 'Call')),
+
+    -- OHLC of the snapshot price (mid, or last when there is no mid)
+    open DECIMAL(10,2),
+    high DECIMAL(10,2),
+    low DECIMAL(10,2),
+    close DECIMAL(10,2),
+
+    -- Last non-null values of the day
+    bid DECIMAL(10,2),
+    ask DECIMAL(10,2),
+    implied_volatility DECIMAL(12,6),
+    underlying_price DECIMAL(12,4),
+    volume BIGINT,
+    open_interest BIGINT,
+
+    snapshot_count INTEGER NOT NULL,
+    first_captured_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    last_captured_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    source VARCHAR(30) NOT NULL,  -- Snapshot table the bar was built from
+    rolled_up_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    PRIMARY KEY (option_symbol, trade_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_options_daily_symbol_trade_date ON options_daily(symbol, trade_date);
+CREATE INDEX IF NOT EXISTS idx_options_daily_trade_date ON options_daily(trade_date);
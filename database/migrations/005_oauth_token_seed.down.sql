@@ -0,0 +1,2 @@
+ALTER TABLE oauth_tokens DROP COLUMN IF EXISTS revoked;
+ALTER TABLE oauth_tokens DROP COLUMN IF EXISTS seed_token_hash;
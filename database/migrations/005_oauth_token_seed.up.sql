@@ -0,0 +1,4 @@
+-- Hash of the TRADESTATION_REFRESH_TOKEN the stored tokens descend from, so a changed
+-- env token can replace them, and whether TradeStation rejected the stored refresh token
+ALTER TABLE oauth_tokens ADD COLUMN IF NOT EXISTS seed_token_hash VARCHAR(64);
+ALTER TABLE oauth_tokens ADD COLUMN IF NOT EXISTS revoked BOOLEAN NOT NULL DEFAULT FALSE;
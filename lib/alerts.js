@@ -0,0 +1,200 @@
+import { OptionsDatabase } from './database.js';
+import { resolveImpliedVolatility } from './pricing.js';
+import { marketDate } from './expirationFilter.js';
+
+/**
+ * Unusual options activity scanner
+ *
+ * Works on each contract's recent snapshots: the latest capture, the capture before it
+ * and the last capture of each earlier day. Volume is the day's cumulative volume, so
+ * earlier days are compared through their final snapshot. Days are New York trading
+ * dates, the same boundaries as getSnapshotsForScan and the daily rollup.
+ */
+
+export const ALERT_TYPES = ['volume_oi', 'volume_average', 'quote_move', 'iv_spike'];
+
+export const DEFAULT_ALERT_THRESHOLDS = {
+  minVolume: 100, // Ignore volume alerts below this many contracts
+  volumeOiRatio: 2, // volume_oi: today's volume >= ratio × open interest
+  volumeAverageMultiple: 3, // volume_average: today's volume >= multiple × average daily volume
+  quoteMovePercent: 50, // quote_move: bid or ask moved at least this many percent since the previous run
+  minQuoteMove: 0.1, // quote_move: and by at least this many dollars
+  ivZScore: 3, // iv_spike: IV at least this many standard deviations above its daily history
+  minIvChange: 0.05, // iv_spike: and at least 5 volatility points above the average
+  minHistoryDays: 3, // Earlier days needed before volume_average or iv_spike can fire
+  lookbackDays: 10 // Days of daily history to compare against
+};
+
+const toNumber = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+const average = (values) => values.reduce((total, value) => total + value, 0) / values.length;
+
+const tradingDay = (timestamp) => marketDate(new Date(timestamp));
+
+/**
+ * Base alert fields for a contract's latest snapshot
+ */
+function alertFor(latest, alertType, value, baseline, details) {
+  return {
+    symbol: latest.symbol,
+    option_symbol: latest.option_symbol,
+    expiration_date: latest.expiration_date,
+    strike: latest.strike,
+    option_type: latest.option_type,
+    alert_type: alertType,
+    value,
+    baseline,
+    score: baseline ? value / baseline : null,
+    details,
+    captured_at: latest.captured_at
+  };
+}
+
+/**
+ * Implied volatility of a snapshot, solved from its own underlying price when not stored
+ */
+function snapshotVolatility(snapshot) {
+  return resolveImpliedVolatility(snapshot, {
+    underlyingPrice: snapshot.underlying_price,
+    now: new Date(snapshot.captured_at)
+  });
+}
+
+/**
+ * Scan one contract's snapshots (oldest first) for unusual activity
+ */
+function scanContract(snapshots, thresholds) {
+  const alerts = [];
+  const latest = snapshots[snapshots.length - 1];
+  const previous = snapshots.length > 1 ? snapshots[snapshots.length - 2] : null;
+  const today = tradingDay(latest.captured_at);
+
+  // Final snapshot of each earlier day
+  const dailyCloses = new Map();
+  snapshots.forEach(snapshot => {
+    const day = tradingDay(snapshot.captured_at);
+    if (day !== today) {
+      dailyCloses.set(day, snapshot);
+    }
+  });
+  const history = [...dailyCloses.values()];
+
+  const volume = toNumber(latest.volume);
+  const openInterest = toNumber(latest.open_interest);
+
+  if (volume !== null && volume >= thresholds.minVolume) {
+    if (openInterest !== null && volume >= thresholds.volumeOiRatio * Math.max(openInterest, 1)) {
+      alerts.push(alertFor(latest, 'volume_oi', volume, openInterest, { volume, open_interest: openInterest }));
+    }
+
+    const historicalVolumes = history.map(snapshot => toNumber(snapshot.volume)).filter(value => value !== null);
+    if (historicalVolumes.length >= thresholds.minHistoryDays) {
+      const averageVolume = average(historicalVolumes);
+      if (volume >= thresholds.volumeAverageMultiple * Math.max(averageVolume, 1)) {
+        alerts.push(alertFor(latest, 'volume_average', volume, averageVolume, {
+          volume,
+          average_daily_volume: averageVolume,
+          days: historicalVolumes.length
+        }));
+      }
+    }
+  }
+
+  if (previous) {
+    const moves = ['bid', 'ask']
+      .map(field => {
+        const before = toNumber(previous[field]);
+        const after = toNumber(latest[field]);
+        if (before === null || after === null || before <= 0) {
+          return null;
+        }
+        return { field, before, after, change: after - before, percent: (after - before) / before * 100 };
+      })
+      .filter(move => move !== null
+        && Math.abs(move.percent) >= thresholds.quoteMovePercent
+        && Math.abs(move.change) >= thresholds.minQuoteMove);
+
+    if (moves.length > 0) {
+      const largest = moves.reduce((max, move) => Math.abs(move.percent) > Math.abs(max.percent) ? move : max);
+      alerts.push(alertFor(latest, 'quote_move', largest.after, largest.before, {
+        previous_captured_at: previous.captured_at,
+        moves: moves
+      }));
+    }
+  }
+
+  if (history.length >= thresholds.minHistoryDays) {
+    const volatility = snapshotVolatility(latest);
+    const historicalVols = history.map(snapshotVolatility).filter(value => value !== null);
+    if (volatility !== null && historicalVols.length >= thresholds.minHistoryDays) {
+      const mean = average(historicalVols);
+      const deviation = Math.sqrt(average(historicalVols.map(value => (value - mean) ** 2)));
+      const zScore = deviation > 0 ? (volatility - mean) / deviation : null;
+      if (volatility - mean >= thresholds.minIvChange && (zScore === null || zScore >= thresholds.ivZScore)) {
+        alerts.push(alertFor(latest, 'iv_spike', volatility, mean, {
+          implied_volatility: volatility,
+          average_iv: mean,
+          std_dev: deviation,
+          z_score: zScore,
+          days: historicalVols.length
+        }));
+      }
+    }
+  }
+
+  return alerts;
+}
+
+/**
+ * Scan snapshots of many contracts
+ *
+ * @param {Object[]} snapshots - Rows from OptionsDatabase.getSnapshotsForScan
+ * @param {Object} thresholds - Overrides for DEFAULT_ALERT_THRESHOLDS
+ */
+export function scanForUnusualActivity(snapshots, thresholds = {}) {
+  const limits = { ...DEFAULT_ALERT_THRESHOLDS, ...thresholds };
+  const byContract = new Map();
+  snapshots.forEach(snapshot => {
+    if (!byContract.has(snapshot.option_symbol)) {
+      byContract.set(snapshot.option_symbol, []);
+    }
+    byContract.get(snapshot.option_symbol).push(snapshot);
+  });
+
+  const alerts = [];
+  byContract.forEach(contractSnapshots => {
+    contractSnapshots.sort((a, b) => new Date(a.captured_at) - new Date(b.captured_at));
+    alerts.push(...scanContract(contractSnapshots, limits));
+  });
+  return alerts;
+}
+
+/**
+ * Scan the contracts captured since a point in time and store their alerts
+ *
+ * @param {string[]} symbols - Underlying symbols as stored (e.g. ['SPXW', 'AAPL'])
+ * @param {Date|string} since - Only scan contracts captured at or after this time
+ * @param {Object} thresholds - Overrides for DEFAULT_ALERT_THRESHOLDS
+ */
+export async function runAlertScan(symbols, since, thresholds = {}) {
+  const limits = { ...DEFAULT_ALERT_THRESHOLDS, ...thresholds };
+  const snapshots = await OptionsDatabase.getSnapshotsForScan(symbols, since, limits.lookbackDays);
+  const alerts = scanForUnusualActivity(snapshots, limits);
+  const saved = alerts.length > 0 ? await OptionsDatabase.insertAlerts(alerts) : { insertedCount: 0 };
+
+  const byType = {};
+  alerts.forEach(alert => {
+    byType[alert.alert_type] = (byType[alert.alert_type] || 0) + 1;
+  });
+
+  console.log(`🚨 Alert scan: ${alerts.length} alerts from ${snapshots.length} snapshots`);
+  return {
+    snapshotsScanned: snapshots.length,
+    alertsFound: alerts.length,
+    insertedCount: saved.insertedCount,
+    byType
+  };
+}
@@ -0,0 +1,262 @@
+/**
+ * Chain-level analytics computed from the latest stored quote of each contract
+ *
+ * Price-based analytics take one row per expiration, strike and side, e.g. from
+ * OptionsDatabase.getLatestQuotesByExpiration, so SPX and SPXW are already merged.
+ * Open interest analytics take snapshot rows and add up contracts at the same strike.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ATM straddle ≈ 1-SD move × sqrt(2/π) for a normally distributed move
+const STRADDLE_TO_ONE_SD = Math.sqrt(Math.PI / 2);
+
+/**
+ * Latest underlying price among the rows, or null when none was stored
+ */
+export function latestUnderlyingPrice(rows) {
+  const priced = rows
+    .filter(row => row.underlying_price !== null && row.underlying_price !== undefined)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  return priced.length > 0 ? parseFloat(priced[0].underlying_price) : null;
+}
+
+/**
+ * Mid price of a row, falling back to the bid/ask midpoint
+ */
+export function rowMid(row) {
+  const mid = parseFloat(row.mid);
+  if (Number.isFinite(mid) && mid > 0) {
+    return mid;
+  }
+  const bid = parseFloat(row.bid);
+  const ask = parseFloat(row.ask);
+  return bid > 0 && ask > 0 ? (bid + ask) / 2 : null;
+}
+
+/**
+ * Group rows by expiration date (YYYY-MM-DD), in date order
+ */
+export function groupByExpiration(rows) {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = new Date(row.expiration_date).toISOString().slice(0, 10);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(row);
+  });
+  return new Map([...groups.entries()].sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Calendar days from now until an expiration date
+ */
+export function daysToExpiration(expirationDate, now = new Date()) {
+  return Math.max(0, Math.round((new Date(expirationDate).getTime() - now.getTime()) / DAY_MS));
+}
+
+/**
+ * Pair calls and puts by strike
+ */
+function pairByStrike(rows) {
+  const strikes = new Map();
+  rows.forEach(row => {
+    const strike = parseFloat(row.strike);
+    const entry = strikes.get(strike) || { strike, call: null, put: null };
+    entry[row.option_type === 'Call' ? 'call' : 'put'] = row;
+    strikes.set(strike, entry);
+  });
+  return [...strikes.values()].sort((a, b) => a.strike - b.strike);
+}
+
+/**
+ * Expected move per expiration from the at-the-money straddle
+ * The ATM strike is the strike nearest the underlying with both a call and a put mid
+ *
+ * @param {Object[]} rows - Latest options rows
+ * @param {number} spot - Underlying price
+ * @param {Date} now - Valuation time
+ */
+export function calculateExpectedMoves(rows, spot, now = new Date()) {
+  const results = [];
+
+  groupByExpiration(rows).forEach((expirationRows, expirationDate) => {
+    const candidates = pairByStrike(expirationRows)
+      .map(entry => ({
+        strike: entry.strike,
+        callMid: entry.call ? rowMid(entry.call) : null,
+        putMid: entry.put ? rowMid(entry.put) : null
+      }))
+      .filter(entry => entry.callMid !== null && entry.putMid !== null)
+      .sort((a, b) => Math.abs(a.strike - spot) - Math.abs(b.strike - spot));
+
+    if (candidates.length === 0) {
+      return;
+    }
+
+    const atm = candidates[0];
+    const straddle = atm.callMid + atm.putMid;
+    const oneSdMove = straddle * STRADDLE_TO_ONE_SD;
+
+    results.push({
+      expiration_date: expirationDate,
+      days_to_expiration: daysToExpiration(expirationDate, now),
+      atm_strike: atm.strike,
+      call_mid: atm.callMid,
+      put_mid: atm.putMid,
+      straddle_price: straddle,
+      expected_move: straddle,
+      expected_move_percent: straddle / spot * 100,
+      one_sd_move: oneSdMove,
+      one_sd_move_percent: oneSdMove / spot * 100,
+      upper_bound: spot + oneSdMove,
+      lower_bound: spot - oneSdMove
+    });
+  });
+
+  return results;
+}
+
+/**
+ * Standard equity and index option contract multiplier
+ */
+export const CONTRACT_MULTIPLIER = 100;
+
+const toNumber = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+const ratio = (numerator, denominator) => denominator > 0 ? numerator / denominator : null;
+
+/**
+ * Sum open interest and volume per strike and side
+ * SPX and SPXW contracts at the same strike are different contracts, so they are added together
+ */
+function openInterestByStrike(rows) {
+  const strikes = new Map();
+  rows.forEach(row => {
+    const strike = parseFloat(row.strike);
+    const entry = strikes.get(strike) || { strike, call_oi: 0, put_oi: 0, call_volume: 0, put_volume: 0 };
+    if (row.option_type === 'Call') {
+      entry.call_oi += toNumber(row.open_interest);
+      entry.call_volume += toNumber(row.volume);
+    } else {
+      entry.put_oi += toNumber(row.open_interest);
+      entry.put_volume += toNumber(row.volume);
+    }
+    strikes.set(strike, entry);
+  });
+  return [...strikes.values()].sort((a, b) => a.strike - b.strike);
+}
+
+/**
+ * Max pain: the settlement price (tested at each strike) where option holders' total
+ * intrinsic value, and so the writers' payout, is smallest
+ *
+ * @param {Object[]} strikes - Entries from openInterestByStrike
+ * @returns {{strike: number, payout: number}|null} payout is in dollars
+ */
+export function calculateMaxPain(strikes) {
+  let best = null;
+  strikes.forEach(({ strike: settlement }) => {
+    const payout = strikes.reduce((total, entry) =>
+      total
+        + entry.call_oi * Math.max(0, settlement - entry.strike)
+        + entry.put_oi * Math.max(0, entry.strike - settlement), 0) * CONTRACT_MULTIPLIER;
+    if (best === null || payout < best.payout) {
+      best = { strike: settlement, payout };
+    }
+  });
+  return best;
+}
+
+/**
+ * Open interest and volume statistics for a set of rows
+ * Max pain is only reported when includeMaxPain is set (it is meaningful per expiration)
+ */
+export function summarizeOpenInterest(rows, { includeMaxPain = true } = {}) {
+  const strikes = openInterestByStrike(rows);
+  const totals = strikes.reduce((sum, entry) => ({
+    call_oi: sum.call_oi + entry.call_oi,
+    put_oi: sum.put_oi + entry.put_oi,
+    call_volume: sum.call_volume + entry.call_volume,
+    put_volume: sum.put_volume + entry.put_volume
+  }), { call_oi: 0, put_oi: 0, call_volume: 0, put_volume: 0 });
+
+  const callWall = strikes.reduce((max, entry) => entry.call_oi > (max?.call_oi ?? 0) ? entry : max, null);
+  const putWall = strikes.reduce((max, entry) => entry.put_oi > (max?.put_oi ?? 0) ? entry : max, null);
+  const maxPain = includeMaxPain && totals.call_oi + totals.put_oi > 0 ? calculateMaxPain(strikes) : null;
+
+  return {
+    strikes: strikes.length,
+    total_call_oi: totals.call_oi,
+    total_put_oi: totals.put_oi,
+    total_call_volume: totals.call_volume,
+    total_put_volume: totals.put_volume,
+    put_call_oi_ratio: ratio(totals.put_oi, totals.call_oi),
+    put_call_volume_ratio: ratio(totals.put_volume, totals.call_volume),
+    call_wall_strike: callWall?.strike ?? null,
+    call_wall_oi: callWall?.call_oi ?? null,
+    put_wall_strike: putWall?.strike ?? null,
+    put_wall_oi: putWall?.put_oi ?? null,
+    ...(includeMaxPain && {
+      max_pain_strike: maxPain?.strike ?? null,
+      max_pain_payout: maxPain?.payout ?? null
+    })
+  };
+}
+
+/**
+ * Difference of every numeric field between two summaries (current - previous)
+ */
+function diffSummaries(current, previous) {
+  if (!previous) {
+    return null;
+  }
+  const change = {};
+  Object.keys(current).forEach(key => {
+    change[key] = current[key] !== null && previous[key] !== null && previous[key] !== undefined
+      ? current[key] - previous[key]
+      : null;
+  });
+  return change;
+}
+
+/**
+ * Open interest analytics per expiration and across all expirations,
+ * with the change versus each contract's previous snapshot
+ *
+ * @param {Object[]} rows - Snapshot rows with snapshot_rank 1 (latest) or 2 (previous)
+ */
+export function calculateOpenInterestAnalytics(rows) {
+  const current = rows.filter(row => parseInt(row.snapshot_rank) === 1);
+  const previous = rows.filter(row => parseInt(row.snapshot_rank) === 2);
+  const previousByExpiration = groupByExpiration(previous);
+
+  const expirations = [...groupByExpiration(current).entries()].map(([expirationDate, expirationRows]) => {
+    const summary = summarizeOpenInterest(expirationRows);
+    const previousRows = previousByExpiration.get(expirationDate);
+    const previousSummary = previousRows ? summarizeOpenInterest(previousRows) : null;
+    return {
+      expiration_date: expirationDate,
+      days_to_expiration: daysToExpiration(expirationDate),
+      ...summary,
+      previous: previousSummary,
+      change: diffSummaries(summary, previousSummary)
+    };
+  });
+
+  const overall = summarizeOpenInterest(current, { includeMaxPain: false });
+  const overallPrevious = previous.length > 0 ? summarizeOpenInterest(previous, { includeMaxPain: false }) : null;
+
+  return {
+    overall: {
+      ...overall,
+      previous: overallPrevious,
+      change: diffSummaries(overall, overallPrevious)
+    },
+    expirations
+  };
+}
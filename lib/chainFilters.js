@@ -0,0 +1,96 @@
+/**
+ * TradeStation options chain stream filters
+ * Shared by the collector and the collect-options route
+ */
+
+export const RANGE_VALUES = ['All', 'ITM', 'OTM'];
+
+// Calendar and Diagonal spreads need a second expiration and are not supported
+export const SPREAD_TYPES = ['Single', 'Straddle', 'Strangle', 'Vertical', 'Butterfly', 'Condor', 'Collar'];
+
+export const DEFAULT_CHAIN_FILTERS = {
+  strikeProximity: 1, // Strikes above and below the price center
+  strikeInterval: 1, // Every Nth strike
+  range: 'All', // All, ITM or OTM
+  spreadType: 'Single', // Single contracts unless a spread is requested
+  riskFreeRate: null, // Decimal rate used by TradeStation for Greeks, null = server default
+  priceCenter: null // Strike to center on, null = last underlying price
+};
+
+/**
+ * Validate chain filter parameters and merge them over the defaults
+ * Returns { filters, errors } - errors is empty when every parameter is valid
+ *
+ * @param {Object} input - Raw parameters from a request body or configuration
+ */
+export function validateChainFilters(input = {}) {
+  const filters = { ...DEFAULT_CHAIN_FILTERS };
+  const errors = [];
+
+  if (input.strikeProximity !== undefined && input.strikeProximity !== null) {
+    const value = Number(input.strikeProximity);
+    if (!Number.isInteger(value) || value < 1) {
+      errors.push('strikeProximity must be a positive integer');
+    } else {
+      filters.strikeProximity = value;
+    }
+  }
+
+  if (input.strikeInterval !== undefined && input.strikeInterval !== null) {
+    const value = Number(input.strikeInterval);
+    if (!Number.isInteger(value) || value < 1) {
+      errors.push('strikeInterval must be a positive integer');
+    } else {
+      filters.strikeInterval = value;
+    }
+  }
+
+  if (input.range !== undefined && input.range !== null) {
+    if (!RANGE_VALUES.includes(input.range)) {
+      errors.push(`range must be one of: ${RANGE_VALUES.join(', ')}`);
+    } else {
+      filters.range = input.range;
+    }
+  }
+
+  if (input.spreadType !== undefined && input.spreadType !== null) {
+    if (!SPREAD_TYPES.includes(input.spreadType)) {
+      errors.push(`spreadType must be one of: ${SPREAD_TYPES.join(', ')}`);
+    } else {
+      filters.spreadType = input.spreadType;
+    }
+  }
+
+  if (input.riskFreeRate !== undefined && input.riskFreeRate !== null) {
+    const value = Number(input.riskFreeRate);
+    if (!Number.isFinite(value) || value < 0 || value > 1) {
+      errors.push('riskFreeRate must be a decimal between 0 and 1 (e.g. 0.045)');
+    } else {
+      filters.riskFreeRate = value;
+    }
+  }
+
+  if (input.priceCenter !== undefined && input.priceCenter !== null) {
+    const value = Number(input.priceCenter);
+    if (!Number.isFinite(value) || value <= 0) {
+      errors.push('priceCenter must be a positive number');
+    } else {
+      filters.priceCenter = value;
+    }
+  }
+
+  return { filters, errors };
+}
+
+/**
+ * Build the chain stream query parameters, leaving out filters that use the server default
+ */
+export function buildChainQueryParams(filters) {
+  const params = {};
+  for (const [key, value] of Object.entries(filters)) {
+    if (value !== null && value !== undefined) {
+      params[key] = value;
+    }
+  }
+  return params;
+}
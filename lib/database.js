@@ -1,5 +1,6 @@
 import { Pool } from 'pg';
 import dotenv from 'dotenv';
+import { partitionRanges, createPartitionSql, parsePartitionName } from './partitions.js';
 
 dotenv.config();
 
@@ -12,90 +13,326 @@ const pool = new Pool({
   connectionTimeoutMillis: 2000,
 });
 
+/**
+ * Parse a nullable numeric field, keeping legitimate zero values
+ */
+function parseNullableFloat(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Parse a nullable integer field (sizes, volume, open interest), keeping zero values
+ */
+function parseNullableInt(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+// Postgres accepts at most 65535 bind parameters per statement
+const MAX_QUERY_PARAMETERS = 65535;
+
+// Rows per multi-row INSERT when the caller does not set a batch size
+const DEFAULT_INSERT_BATCH_SIZE = 500;
+
+// Columns written per options row, and the position of option_symbol among them
+const OPTION_COLUMN_COUNT = 32;
+const OPTION_SYMBOL_INDEX = 14;
+
+/**
+ * Bind parameters for one options row, in options_data/options_snapshots column order
+ */
+function optionValues(option) {
+  // Extract underlying symbol from option_symbol (e.g., "AAPL 250919P232.5" -> "AAPL")
+  const underlyingSymbol = option.symbol ? option.symbol.split(' ')[0] : null;
+  
+  return [
+    underlyingSymbol,  // symbol (underlying)
+    option.expiration_date,
+    parseFloat(option.strike),
+    option.expiration_type,
+    parseNullableFloat(option.ask),
+    parseNullableFloat(option.bid),
+    parseNullableFloat(option.mid),
+    parseNullableFloat(option.close),
+    parseNullableFloat(option.high),
+    parseNullableFloat(option.last),
+    parseNullableFloat(option.low),
+    parseNullableFloat(option.open),
+    parseNullableFloat(option.previous_close),
+    option.option_type,
+    option.symbol,  // option_symbol (full option symbol)
+    option.timestamp,
+    parseNullableFloat(option.delta),
+    parseNullableFloat(option.gamma),
+    parseNullableFloat(option.theta),
+    parseNullableFloat(option.vega),
+    parseNullableFloat(option.rho),
+    parseNullableFloat(option.implied_volatility),
+    parseNullableInt(option.bid_size),
+    parseNullableInt(option.ask_size),
+    parseNullableInt(option.volume),
+    parseNullableInt(option.open_interest),
+    parseNullableFloat(option.underlying_price),
+    parseNullableFloat(option.delta) !== null ? 'stream' : null,
+    option.underlying_symbol || null,
+    option.underlying_captured_at || null,
+    option.quality || null,
+    option.quality_flags || null
+  ];
+}
+
+/**
+ * Split options rows into upsert batches of at most batchSize rows
+ * A contract repeated in the input starts a new batch, since one statement
+ * cannot upsert the same row twice; later rows still win as before
+ */
+function batchByOptionSymbol(rows, batchSize) {
+  const maxRows = Math.floor(MAX_QUERY_PARAMETERS / OPTION_COLUMN_COUNT);
+  const size = Math.max(1, Math.min(parseInt(batchSize) || DEFAULT_INSERT_BATCH_SIZE, maxRows));
+  const batches = [];
+  let batch = [];
+  let symbols = new Set();
+  
+  rows.forEach(row => {
+    const optionSymbol = row[OPTION_SYMBOL_INDEX];
+    if (batch.length >= size || symbols.has(optionSymbol)) {
+      batches.push(batch);
+      batch = [];
+      symbols = new Set();
+    }
+    batch.push(row);
+    symbols.add(optionSymbol);
+  });
+  
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+  return batches;
+}
+
+/**
+ * VALUES list for a multi-row insert, e.g. ($1, $2), ($3, $4)
+ */
+function valuesPlaceholders(rowCount, columnCount) {
+  return Array.from({ length: rowCount }, (_, row) =>
+    `(${Array.from({ length: columnCount }, (_, column) => `$${row * columnCount + column + 1}`).join(', ')})`
+  ).join(',\n            ');
+}
+
+// Partitions this process has already created or seen, so inserts only issue DDL once per range
+const ensuredPartitions = new Set();
+
+/**
+ * Create the partitions of a partitioned table that cover [from, to], skipping known ones
+ * Runs outside any transaction so a rolled-back insert cannot undo a partition we remember
+ */
+async function createMissingPartitions(client, table, from, to) {
+  for (const range of partitionRanges(table, from, to)) {
+    if (ensuredPartitions.has(range.name)) {
+      continue;
+    }
+    try {
+      await client.query(createPartitionSql(table, range));
+    } catch (error) {
+      // Another process created it between our IF NOT EXISTS check and the insert
+      if (error.code !== '42P07' && error.code !== '23505') {
+        throw error;
+      }
+    }
+    ensuredPartitions.add(range.name);
+  }
+}
+
+// Columns copied from options_snapshots into the downsampled tiers
+const SNAPSHOT_TIER_COLUMNS = [
+  'option_symbol', 'symbol', 'expiration_date', 'strike', 'expiration_type', 'option_type',
+  'ask', 'bid', 'mid', 'close', 'high', 'last', 'low', 'open', 'previous_close',
+  'delta', 'gamma', 'theta', 'vega', 'rho', 'implied_volatility', 'greeks_source',
+  'bid_size', 'ask_size', 'volume', 'open_interest', 'underlying_price',
+  'underlying_symbol', 'underlying_captured_at', 'quality', 'quality_flags', 'captured_at'
+];
+
+// Downsampled tiers: target table, bucket column, bucket expression and where to resume from
+const SNAPSHOT_TIERS = {
+  hour: {
+    table: 'options_snapshots_hourly',
+    column: 'bucket',
+    bucket: `date_trunc('hour', captured_at)`,
+    resumeFrom: `(SELECT MAX(bucket) FROM options_snapshots_hourly)`
+  },
+  day: {
+    table: 'options_snapshots_eod',
+    column: 'trade_date',
+    bucket: `(captured_at AT TIME ZONE 'America/New_York')::date`,
+    resumeFrom: `(SELECT MAX(trade_date) FROM options_snapshots_eod)::timestamp AT TIME ZONE 'America/New_York'`
+  }
+};
+
+/**
+ * Snapshot history for a filter across the retention tiers, as one row source
+ * Raw snapshots first, then hourly rows older than the oldest matching raw snapshot,
+ * then end-of-day rows older than both; resolution tells the tiers apart
+ * The filter is applied in every tier so partitions are pruned and indexes used
+ */
+function tieredSnapshotsSql(filter) {
+  const columns = SNAPSHOT_TIER_COLUMNS.join(', ');
+  return `
+    WITH raw AS (
+      SELECT id, ${columns}, created_at, 'snapshot' as resolution
+      FROM options_snapshots WHERE ${filter}
+    ),
+    hourly AS (
+      SELECT NULL::bigint as id, ${columns}, created_at, 'hour' as resolution
+      FROM options_snapshots_hourly WHERE ${filter}
+      AND captured_at < COALESCE((SELECT MIN(captured_at) FROM raw), 'infinity')
+    ),
+    eod AS (
+      SELECT NULL::bigint as id, ${columns}, created_at, 'day' as resolution
+      FROM options_snapshots_eod WHERE ${filter}
+      AND captured_at < COALESCE((SELECT MIN(captured_at) FROM hourly), (SELECT MIN(captured_at) FROM raw), 'infinity')
+    )
+    SELECT * FROM raw
+    UNION ALL SELECT * FROM hourly
+    UNION ALL SELECT * FROM eod
+  `;
+}
+
+// Snapshot tables a daily bar can be built from, finest first; older dates only survive in the hourly tier
+const DAILY_BAR_SOURCES = ['options_snapshots', 'options_snapshots_hourly'];
+
+// Last non-null value of a column over a contract's snapshots for the day
+const lastValue = (column) => `(array_agg(${column} ORDER BY captured_at DESC) FILTER (WHERE ${column} IS NOT NULL))[1]`;
+
 /**
  * Database service for options data
  */
 export class OptionsDatabase {
   /**
    * Insert options data into the database
+   * Rows are written in multi-row batches: one upsert into options_data and one
+   * snapshot insert per batch instead of per contract
+   * 
+   * @param {Object[]} optionsData - Cleaned rows from SimpleOptionsCollector
+   * @param {Object} options
+   * @param {number} options.batchSize - Rows per statement (default: 500, capped by the 65535 parameter limit)
    */
-  static async insertOptionsData(optionsData) {
+  static async insertOptionsData(optionsData, { batchSize = DEFAULT_INSERT_BATCH_SIZE } = {}) {
     const client = await pool.connect();
     
     try {
-      await client.query('BEGIN');
+      // Snapshot partitions for the capture days in this insert
+      const capturedAt = optionsData.map(option => new Date(option.timestamp).getTime()).filter(Number.isFinite);
+      if (capturedAt.length > 0) {
+        const oldest = capturedAt.reduce((min, time) => Math.min(min, time));
+        const newest = capturedAt.reduce((max, time) => Math.max(max, time));
+        await createMissingPartitions(client, 'options_snapshots', new Date(oldest), new Date(newest));
+      }
       
-      const upsertQuery = `
-        INSERT INTO options_data (
-          symbol, expiration_date, strike, expiration_type, ask, bid, mid, close, 
-          high, last, low, open, previous_close, option_type, option_symbol, timestamp
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
-        ON CONFLICT (option_symbol) 
-        DO UPDATE SET
-          ask = EXCLUDED.ask,
-          bid = EXCLUDED.bid,
-          mid = EXCLUDED.mid,
-          close = EXCLUDED.close,
-          high = EXCLUDED.high,
-          last = EXCLUDED.last,
-          low = EXCLUDED.low,
-          open = EXCLUDED.open,
-          previous_close = EXCLUDED.previous_close,
-          option_symbol = EXCLUDED.option_symbol,
-          timestamp = EXCLUDED.timestamp
-        RETURNING id, (xmax = 0) AS inserted
-      `;
+      await client.query('BEGIN');
       
       const results = [];
       let insertedCount = 0;
       let updatedCount = 0;
+      let snapshotCount = 0;
       
-      for (const option of optionsData) {
-        // Extract underlying symbol from option_symbol (e.g., "AAPL 250919P232.5" -> "AAPL")
-        const underlyingSymbol = option.symbol ? option.symbol.split(' ')[0] : null;
+      const batches = batchByOptionSymbol(optionsData.map(optionValues), batchSize);
+      
+      for (const batch of batches) {
+        const placeholders = valuesPlaceholders(batch.length, OPTION_COLUMN_COUNT);
+        const values = batch.flat();
         
-        const values = [
-          underlyingSymbol,  // symbol (underlying)
-          option.expiration_date,
-          parseFloat(option.strike),
-          option.expiration_type,
-          option.ask ? parseFloat(option.ask) : null,
-          option.bid ? parseFloat(option.bid) : null,
-          option.mid ? parseFloat(option.mid) : null,
-          option.close ? parseFloat(option.close) : null,
-          option.high ? parseFloat(option.high) : null,
-          option.last ? parseFloat(option.last) : null,
-          option.low ? parseFloat(option.low) : null,
-          option.open ? parseFloat(option.open) : null,
-          option.previous_close ? parseFloat(option.previous_close) : null,
-          option.option_type,
-          option.symbol,  // option_symbol (full option symbol)
-          option.timestamp
-        ];
+        const upsertQuery = `
+          INSERT INTO options_data (
+            symbol, expiration_date, strike, expiration_type, ask, bid, mid, close, 
+            high, last, low, open, previous_close, option_type, option_symbol, timestamp,
+            delta, gamma, theta, vega, rho, implied_volatility,
+            bid_size, ask_size, volume, open_interest, underlying_price, greeks_source,
+            underlying_symbol, underlying_captured_at, quality, quality_flags
+          ) VALUES ${placeholders}
+          ON CONFLICT (option_symbol) 
+          DO UPDATE SET
+            ask = EXCLUDED.ask,
+            bid = EXCLUDED.bid,
+            mid = EXCLUDED.mid,
+            close = EXCLUDED.close,
+            high = EXCLUDED.high,
+            last = EXCLUDED.last,
+            low = EXCLUDED.low,
+            open = EXCLUDED.open,
+            previous_close = EXCLUDED.previous_close,
+            option_symbol = EXCLUDED.option_symbol,
+            timestamp = EXCLUDED.timestamp,
+            delta = EXCLUDED.delta,
+            gamma = EXCLUDED.gamma,
+            theta = EXCLUDED.theta,
+            vega = EXCLUDED.vega,
+            rho = EXCLUDED.rho,
+            implied_volatility = EXCLUDED.implied_volatility,
+            bid_size = EXCLUDED.bid_size,
+            ask_size = EXCLUDED.ask_size,
+            volume = EXCLUDED.volume,
+            open_interest = EXCLUDED.open_interest,
+            underlying_price = EXCLUDED.underlying_price,
+            greeks_source = EXCLUDED.greeks_source,
+            underlying_symbol = EXCLUDED.underlying_symbol,
+            underlying_captured_at = EXCLUDED.underlying_captured_at,
+            quality = EXCLUDED.quality,
+            quality_flags = EXCLUDED.quality_flags
+          RETURNING id, option_symbol, (xmax = 0) AS inserted
+        `;
+        
+        // Append-only history rows, written with the same parameters as the upsert
+        const snapshotQuery = `
+          INSERT INTO options_snapshots (
+            symbol, expiration_date, strike, expiration_type, ask, bid, mid, close, 
+            high, last, low, open, previous_close, option_type, option_symbol, captured_at,
+            delta, gamma, theta, vega, rho, implied_volatility,
+            bid_size, ask_size, volume, open_interest, underlying_price, greeks_source,
+            underlying_symbol, underlying_captured_at, quality, quality_flags
+          ) VALUES ${placeholders}
+          ON CONFLICT (option_symbol, captured_at) DO NOTHING
+        `;
         
         const result = await client.query(upsertQuery, values);
-        const row = result.rows[0];
         
-        results.push({
-          id: row.id,
-          action: row.inserted ? 'inserted' : 'updated'
-        });
+        // RETURNING order is not guaranteed, so match rows back by option symbol (unique within a batch)
+        const rowsBySymbol = new Map(result.rows.map(row => [row.option_symbol, row]));
         
-        if (row.inserted) {
-          insertedCount++;
-        } else {
-          updatedCount++;
-        }
+        const snapshotResult = await client.query(snapshotQuery, values);
+        snapshotCount += snapshotResult.rowCount;
+        
+        batch.forEach(rowValues => {
+          const row = rowsBySymbol.get(rowValues[OPTION_SYMBOL_INDEX]);
+          results.push({
+            id: row.id,
+            action: row.inserted ? 'inserted' : 'updated'
+          });
+          
+          if (row.inserted) {
+            insertedCount++;
+          } else {
+            updatedCount++;
+          }
+        });
       }
       
       await client.query('COMMIT');
       
-      console.log(`✅ Upserted ${results.length} options records: ${insertedCount} inserted, ${updatedCount} updated`);
+      console.log(`✅ Upserted ${results.length} options records in ${batches.length} batches: ${insertedCount} inserted, ${updatedCount} updated, ${snapshotCount} snapshots`);
       return {
         success: true,
         totalProcessed: results.length,
         insertedCount: insertedCount,
         updatedCount: updatedCount,
+        snapshotCount: snapshotCount,
+        batchCount: batches.length,
         results: results
       };
       
@@ -108,6 +345,157 @@ export class OptionsDatabase {
     }
   }
   
+  /**
+   * Insert multi-leg spread quotes (straddles, strangles) into the append-only spreads table
+   */
+  static async insertSpreadData(spreadData) {
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      const insertQuery = `
+        INSERT INTO options_spreads (
+          symbol, spread_type, spread_symbol, expiration_date, expiration_type, strikes, legs,
+          ask, bid, mid, close, high, last, low, open, previous_close,
+          bid_size, ask_size, volume, open_interest, underlying_price,
+          delta, gamma, theta, vega, rho, implied_volatility, captured_at,
+          underlying_symbol, underlying_captured_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16,
+          $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30)
+        ON CONFLICT (spread_symbol, captured_at) DO NOTHING
+        RETURNING id
+      `;
+      
+      const results = [];
+      
+      for (const spread of spreadData) {
+        // Extract underlying symbol from the first leg (e.g., "SPXW 250919C6500" -> "SPXW")
+        const underlyingSymbol = spread.spread_symbol ? spread.spread_symbol.split(' ')[0] : null;
+        
+        const values = [
+          underlyingSymbol,
+          spread.spread_type,
+          spread.spread_symbol,
+          spread.expiration_date,
+          spread.expiration_type,
+          JSON.stringify(spread.strikes),
+          JSON.stringify(spread.legs),
+          parseNullableFloat(spread.ask),
+          parseNullableFloat(spread.bid),
+          parseNullableFloat(spread.mid),
+          parseNullableFloat(spread.close),
+          parseNullableFloat(spread.high),
+          parseNullableFloat(spread.last),
+          parseNullableFloat(spread.low),
+          parseNullableFloat(spread.open),
+          parseNullableFloat(spread.previous_close),
+          parseNullableInt(spread.bid_size),
+          parseNullableInt(spread.ask_size),
+          parseNullableInt(spread.volume),
+          parseNullableInt(spread.open_interest),
+          parseNullableFloat(spread.underlying_price),
+          parseNullableFloat(spread.delta),
+          parseNullableFloat(spread.gamma),
+          parseNullableFloat(spread.theta),
+          parseNullableFloat(spread.vega),
+          parseNullableFloat(spread.rho),
+          parseNullableFloat(spread.implied_volatility),
+          spread.timestamp,
+          spread.underlying_symbol || null,
+          spread.underlying_captured_at || null
+        ];
+        
+        const result = await client.query(insertQuery, values);
+        if (result.rows.length > 0) {
+          results.push({ id: result.rows[0].id, action: 'inserted' });
+        }
+      }
+      
+      await client.query('COMMIT');
+      
+      console.log(`✅ Inserted ${results.length} spread records`);
+      return {
+        success: true,
+        totalProcessed: spreadData.length,
+        insertedCount: results.length,
+        results: results
+      };
+      
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('❌ Spread insertion failed:', error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+  
+  /**
+   * Insert the underlying quotes fetched for a collection run
+   * 
+   * @param {Object[]} quotes - Cleaned quotes from SimpleOptionsCollector.getUnderlyingQuotes
+   */
+  static async insertUnderlyingQuotes(quotes) {
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      const insertQuery = `
+        INSERT INTO underlying_quotes (
+          symbol, quote_symbol, last, bid, ask, mid, open, high, low, close,
+          previous_close, volume, trade_time, captured_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        ON CONFLICT (symbol, captured_at) DO NOTHING
+        RETURNING id
+      `;
+      
+      const results = [];
+      
+      for (const quote of quotes) {
+        const values = [
+          quote.symbol,
+          quote.quote_symbol,
+          parseNullableFloat(quote.last),
+          parseNullableFloat(quote.bid),
+          parseNullableFloat(quote.ask),
+          parseNullableFloat(quote.mid),
+          parseNullableFloat(quote.open),
+          parseNullableFloat(quote.high),
+          parseNullableFloat(quote.low),
+          parseNullableFloat(quote.close),
+          parseNullableFloat(quote.previous_close),
+          parseNullableInt(quote.volume),
+          quote.trade_time || null,
+          quote.captured_at
+        ];
+        
+        const result = await client.query(insertQuery, values);
+        if (result.rows.length > 0) {
+          results.push({ id: result.rows[0].id, symbol: quote.symbol });
+        }
+      }
+      
+      await client.query('COMMIT');
+      
+      console.log(`✅ Inserted ${results.length} underlying quotes`);
+      return {
+        success: true,
+        totalProcessed: quotes.length,
+        insertedCount: results.length,
+        results: results
+      };
+      
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('❌ Underlying quote insertion failed:', error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   /**
    * Get options data by symbol and date range
    */
@@ -122,7 +510,592 @@ export class OptionsDatabase {
         ORDER BY expiration_date, strike, option_type
       `;
       
-      const result = await client.query(query, [symbol, startDate, endDate]);
+      const result = await client.query(query, [symbol, startDate, endDate]);
+      return result.rows;
+      
+    } catch (error) {
+      console.error('❌ Database query failed:', error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get aggregated options data by symbol and date range - grouped by expiration_date and strike
+   * Returns separate put and call mid prices for each strike
+   */
+  static async getAggregatedOptionsData(symbol, startDate, endDate) {
+    const client = await pool.connect();
+    
+    try {
+      const query = `
+        SELECT 
+          expiration_date,
+          strike,
+          SUM(CASE WHEN option_type = 'Call' THEN mid ELSE 0 END) as call_mid_price,
+          SUM(CASE WHEN option_type = 'Put' THEN mid ELSE 0 END) as put_mid_price,
+          SUM(mid) as total_mid_price,
+          AVG(CASE WHEN option_type = 'Call' THEN delta END) as call_delta,
+          AVG(CASE WHEN option_type = 'Put' THEN delta END) as put_delta,
+          AVG(CASE WHEN option_type = 'Call' THEN implied_volatility END) as call_implied_volatility,
+          AVG(CASE WHEN option_type = 'Put' THEN implied_volatility END) as put_implied_volatility,
+          COUNT(*) as option_count,
+          COUNT(CASE WHEN option_type = 'Call' THEN 1 END) as call_count,
+          COUNT(CASE WHEN option_type = 'Put' THEN 1 END) as put_count
+        FROM options_data 
+        WHERE symbol = $1 
+        AND expiration_date BETWEEN $2 AND $3
+        AND mid IS NOT NULL
+        GROUP BY expiration_date, strike
+        ORDER BY expiration_date, strike
+      `;
+      
+      const result = await client.query(query, [symbol, startDate, endDate]);
+      return result.rows;
+      
+    } catch (error) {
+      console.error('❌ Database query failed:', error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get aggregated options data by multiple symbols and date range - grouped by expiration_date and strike
+   * Returns separate put and call mid prices for each strike across multiple symbols
+   */
+  static async getAggregatedOptionsDataMultiSymbol(symbols, startDate, endDate) {
+    const client = await pool.connect();
+    
+    try {
+      // Create placeholders for the IN clause
+      const placeholders = symbols.map((_, index) => `$${index + 1}`).join(',');
+      
+      const query = `
+        SELECT 
+          expiration_date,
+          strike,
+          SUM(CASE WHEN option_type = 'Call' THEN mid ELSE 0 END) as call_mid_price,
+          SUM(CASE WHEN option_type = 'Put' THEN mid ELSE 0 END) as put_mid_price,
+          SUM(mid) as total_mid_price,
+          AVG(CASE WHEN option_type = 'Call' THEN delta END) as call_delta,
+          AVG(CASE WHEN option_type = 'Put' THEN delta END) as put_delta,
+          AVG(CASE WHEN option_type = 'Call' THEN implied_volatility END) as call_implied_volatility,
+          AVG(CASE WHEN option_type = 'Put' THEN implied_volatility END) as put_implied_volatility,
+          COUNT(*) as option_count,
+          COUNT(CASE WHEN option_type = 'Call' THEN 1 END) as call_count,
+          COUNT(CASE WHEN option_type = 'Put' THEN 1 END) as put_count,
+          STRING_AGG(DISTINCT symbol, ', ') as symbols
+        FROM options_data 
+        WHERE symbol IN (${placeholders})
+        AND expiration_date BETWEEN $${symbols.length + 1} AND $${symbols.length + 2}
+        AND mid IS NOT NULL
+        GROUP BY expiration_date, strike
+        ORDER BY expiration_date, strike
+      `;
+      
+      const params = [...symbols, startDate, endDate];
+      const result = await client.query(query, params);
+      return result.rows;
+      
+    } catch (error) {
+      console.error('❌ Database query failed:', error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+  
+  /**
+   * Get daily option bars from options_daily for a range of trading dates
+   * 
+   * @param {string[]} symbols - Option roots (e.g., ['SPX', 'SPXW'])
+   * @param {string} startDate - First trading date (YYYY-MM-DD)
+   * @param {string} endDate - Last trading date (YYYY-MM-DD)
+   * @param {number} limit - Maximum number of bars
+   */
+  static async getDailyBars(symbols, startDate, endDate, limit = 1000) {
+    const client = await pool.connect();
+    
+    try {
+      // Create placeholders for the IN clause
+      const placeholders = symbols.map((_, index) => `$${index + 1}`).join(',');
+      
+      // trade_date as text, so it is not shifted into the server's time zone as a JS Date
+      const query = `
+        SELECT 
+          to_char(trade_date, 'YYYY-MM-DD') as trade_date,
+          option_symbol, symbol, expiration_date, strike, expiration_type, option_type,
+          open, high, low, close, bid, ask, implied_volatility, underlying_price, volume, open_interest,
+          snapshot_count, first_captured_at, last_captured_at, source, rolled_up_at
+        FROM options_daily 
+        WHERE symbol IN (${placeholders})
+        AND trade_date BETWEEN $${symbols.length + 1} AND $${symbols.length + 2}
+        ORDER BY trade_date DESC, expiration_date, strike, option_type
+        LIMIT $${symbols.length + 3}
+      `;
+      
+      const result = await client.query(query, [...symbols, startDate, endDate, limit]);
+      return result.rows;
+      
+    } catch (error) {
+      console.error('❌ Database query failed:', error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+  
+  /**
+   * Get an options chain for one expiration with calls and puts side by side
+   * Uses the latest quote per strike and side, so SPX and SPXW rows for the same
+   * strike collapse into one row instead of being summed
+   * 
+   * @param {string[]} symbols - Underlying symbols (e.g., ['SPX', 'SPXW'])
+   * @param {string} expirationDate - Expiration date (e.g., "2025-09-19")
+   * @param {Object} options
+   * @param {boolean} options.includeInvalid - Also return quotes marked invalid (default: false)
+   */
+  static async getOptionsChain(symbols, expirationDate, { includeInvalid = false } = {}) {
+    const client = await pool.connect();
+    
+    try {
+      // Create placeholders for the IN clause
+      const placeholders = symbols.map((_, index) => `$${index + 1}`).join(',');
+      
+      const query = `
+        WITH latest AS (
+          SELECT DISTINCT ON (strike, option_type) *
+          FROM options_data 
+          WHERE symbol IN (${placeholders})
+          AND expiration_date::date = $${symbols.length + 1}::date
+          ${includeInvalid ? '' : `AND (quality IS NULL OR quality <> 'invalid')`}
+          ORDER BY strike, option_type, timestamp DESC
+        )
+        SELECT 
+          strike,
+          MAX(CASE WHEN option_type = 'Call' THEN option_symbol END) as call_symbol,
+          MAX(CASE WHEN option_type = 'Call' THEN bid END) as call_bid,
+          MAX(CASE WHEN option_type = 'Call' THEN ask END) as call_ask,
+          MAX(CASE WHEN option_type = 'Call' THEN mid END) as call_mid,
+          MAX(CASE WHEN option_type = 'Call' THEN last END) as call_last,
+          MAX(CASE WHEN option_type = 'Call' THEN ask - bid END) as call_spread,
+          MAX(CASE WHEN option_type = 'Call' THEN volume END) as call_volume,
+          MAX(CASE WHEN option_type = 'Call' THEN open_interest END) as call_open_interest,
+          MAX(CASE WHEN option_type = 'Call' THEN delta END) as call_delta,
+          MAX(CASE WHEN option_type = 'Call' THEN gamma END) as call_gamma,
+          MAX(CASE WHEN option_type = 'Call' THEN theta END) as call_theta,
+          MAX(CASE WHEN option_type = 'Call' THEN vega END) as call_vega,
+          MAX(CASE WHEN option_type = 'Call' THEN implied_volatility END) as call_implied_volatility,
+          MAX(CASE WHEN option_type = 'Call' THEN timestamp END) as call_timestamp,
+          MAX(CASE WHEN option_type = 'Call' THEN quality END) as call_quality,
+          MAX(CASE WHEN option_type = 'Put' THEN option_symbol END) as put_symbol,
+          MAX(CASE WHEN option_type = 'Put' THEN bid END) as put_bid,
+          MAX(CASE WHEN option_type = 'Put' THEN ask END) as put_ask,
+          MAX(CASE WHEN option_type = 'Put' THEN mid END) as put_mid,
+          MAX(CASE WHEN option_type = 'Put' THEN last END) as put_last,
+          MAX(CASE WHEN option_type = 'Put' THEN ask - bid END) as put_spread,
+          MAX(CASE WHEN option_type = 'Put' THEN volume END) as put_volume,
+          MAX(CASE WHEN option_type = 'Put' THEN open_interest END) as put_open_interest,
+          MAX(CASE WHEN option_type = 'Put' THEN delta END) as put_delta,
+          MAX(CASE WHEN option_type = 'Put' THEN gamma END) as put_gamma,
+          MAX(CASE WHEN option_type = 'Put' THEN theta END) as put_theta,
+          MAX(CASE WHEN option_type = 'Put' THEN vega END) as put_vega,
+          MAX(CASE WHEN option_type = 'Put' THEN implied_volatility END) as put_implied_volatility,
+          MAX(CASE WHEN option_type = 'Put' THEN timestamp END) as put_timestamp,
+          MAX(CASE WHEN option_type = 'Put' THEN quality END) as put_quality,
+          MAX(underlying_price) as underlying_price,
+          EXTRACT(EPOCH FROM (NOW() - MIN(timestamp)))::integer as data_age_seconds,
+          STRING_AGG(DISTINCT symbol, ', ') as symbols
+        FROM latest
+        GROUP BY strike
+        ORDER BY strike
+      `;
+      
+      const result = await client.query(query, [...symbols, expirationDate]);
+      return result.rows;
+      
+    } catch (error) {
+      console.error('❌ Database query failed:', error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get the latest quote per expiration, strike and side for one or more underlying symbols
+   * Used to build the volatility surface; expired contracts and invalid quotes are skipped
+   * 
+   * @param {string[]} symbols - Underlying symbols (e.g., ['SPX', 'SPXW'])
+   * @param {number} maxExpirations - Maximum number of expirations to return, nearest first
+   */
+  static async getLatestQuotesByExpiration(symbols, maxExpirations = 12) {
+    const client = await pool.connect();
+    
+    try {
+      // Create placeholders for the IN clause
+      const placeholders = symbols.map((_, index) => `$${index + 1}`).join(',');
+      
+      const query = `
+        WITH latest AS (
+          SELECT DISTINCT ON (expiration_date::date, strike, option_type)
+            symbol, option_symbol, expiration_date, strike, option_type,
+            bid, ask, mid, last, implied_volatility, delta, underlying_price, timestamp
+          FROM options_data 
+          WHERE symbol IN (${placeholders})
+          AND expiration_date::date >= CURRENT_DATE
+          AND (quality IS NULL OR quality <> 'invalid')
+          ORDER BY expiration_date::date, strike, option_type, timestamp DESC
+        ),
+        expirations AS (
+          SELECT DISTINCT expiration_date::date as expiration
+          FROM latest
+          ORDER BY expiration
+          LIMIT $${symbols.length + 1}
+        )
+        SELECT latest.*
+        FROM latest
+        JOIN expirations ON latest.expiration_date::date = expirations.expiration
+        ORDER BY latest.expiration_date, latest.strike, latest.option_type
+      `;
+      
+      const result = await client.query(query, [...symbols, maxExpirations]);
+      return result.rows;
+      
+    } catch (error) {
+      console.error('❌ Database query failed:', error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get the current row of every contract for one or more underlying symbols
+   * Unlike getLatestQuotesByExpiration, SPX and SPXW contracts at the same strike are
+   * kept apart, since their open interest adds up. Invalid quotes are skipped
+   * 
+   * @param {string[]} symbols - Underlying symbols (e.g., ['SPX', 'SPXW'])
+   * @param {number} maxExpirations - Maximum number of expirations to return, nearest first
+   */
+  static async getCurrentContracts(symbols, maxExpirations = 12) {
+    const client = await pool.connect();
+    
+    try {
+      // Create placeholders for the IN clause
+      const placeholders = symbols.map((_, index) => `$${index + 1}`).join(',');
+      
+      const query = `
+        WITH expirations AS (
+          SELECT DISTINCT expiration_date::date as expiration
+          FROM options_data 
+          WHERE symbol IN (${placeholders})
+          AND expiration_date::date >= CURRENT_DATE
+          ORDER BY expiration
+          LIMIT $${symbols.length + 1}
+        )
+        SELECT 
+          options_data.id, symbol, option_symbol, expiration_date, strike, option_type,
+          bid, ask, mid, last, implied_volatility, open_interest, volume,
+          underlying_price, timestamp
+        FROM options_data 
+        JOIN expirations ON options_data.expiration_date::date = expirations.expiration
+        WHERE symbol IN (${placeholders})
+        AND (quality IS NULL OR quality <> 'invalid')
+        ORDER BY expiration_date, strike, option_type
+      `;
+      
+      const result = await client.query(query, [...symbols, maxExpirations]);
+      return result.rows;
+      
+    } catch (error) {
+      console.error('❌ Database query failed:', error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get the current row of a single contract
+   * Looked up by full option symbol, or by underlying symbols, expiration, strike and type
+   * (the most recent quote wins when SPX and SPXW both list the contract)
+   * 
+   * @param {Object} leg
+   * @param {string} leg.optionSymbol - Full option symbol (e.g., "SPXW 250919C6600")
+   * @param {string[]} leg.symbols - Underlying symbols (e.g., ['SPX', 'SPXW'])
+   * @param {string} leg.expirationDate - Expiration date (e.g., "2025-09-19")
+   * @param {number} leg.strike - Strike price
+   * @param {string} leg.optionType - 'Call' or 'Put'
+   */
+  static async getContract({ optionSymbol = null, symbols = [], expirationDate = null, strike = null, optionType = null }) {
+    const client = await pool.connect();
+    
+    try {
+      let result;
+      if (optionSymbol) {
+        result = await client.query('SELECT * FROM options_data WHERE option_symbol = $1', [optionSymbol]);
+      } else {
+        // Create placeholders for the IN clause
+        const placeholders = symbols.map((_, index) => `$${index + 1}`).join(',');
+        const offset = symbols.length;
+        
+        const query = `
+          SELECT * FROM options_data 
+          WHERE symbol IN (${placeholders})
+          AND expiration_date::date = $${offset + 1}::date
+          AND strike = $${offset + 2}
+          AND option_type = $${offset + 3}
+          ORDER BY timestamp DESC
+          LIMIT 1
+        `;
+        
+        result = await client.query(query, [...symbols, expirationDate, strike, optionType]);
+      }
+      return result.rows[0] || null;
+      
+    } catch (error) {
+      console.error('❌ Database query failed:', error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get the latest and previous snapshot of every contract for one or more underlying symbols
+   * snapshot_rank is 1 for a contract's latest capture and 2 for the capture before it
+   * 
+   * @param {string[]} symbols - Underlying symbols (e.g., ['SPX', 'SPXW'])
+   * @param {number} maxExpirations - Maximum number of expirations to return, nearest first
+   * @param {number} lookbackHours - Only consider snapshots captured within this many hours (default: 96)
+   */
+  static async getLatestSnapshotPairs(symbols, maxExpirations = 12, lookbackHours = 96) {
+    const client = await pool.connect();
+    
+    try {
+      // Create placeholders for the IN clause
+      const placeholders = symbols.map((_, index) => `$${index + 1}`).join(',');
+      
+      const query = `
+        WITH ranked AS (
+          SELECT 
+            option_symbol, symbol, expiration_date, strike, option_type,
+            volume, open_interest, underlying_price, captured_at,
+            ROW_NUMBER() OVER (PARTITION BY option_symbol ORDER BY captured_at DESC) as snapshot_rank
+          FROM options_snapshots 
+          WHERE symbol IN (${placeholders})
+          AND expiration_date::date >= CURRENT_DATE
+          AND captured_at >= NOW() - ($${symbols.length + 2} * INTERVAL '1 hour')
+          AND (quality IS NULL OR quality <> 'invalid')
+        ),
+        expirations AS (
+          SELECT DISTINCT expiration_date::date as expiration
+          FROM ranked
+          ORDER BY expiration
+          LIMIT $${symbols.length + 1}
+        )
+        SELECT ranked.*
+        FROM ranked
+        JOIN expirations ON ranked.expiration_date::date = expirations.expiration
+        WHERE ranked.snapshot_rank <= 2
+        ORDER BY ranked.expiration_date, ranked.strike, ranked.option_type, ranked.snapshot_rank
+      `;
+      
+      const result = await client.query(query, [...symbols, maxExpirations, lookbackHours]);
+      return result.rows;
+      
+    } catch (error) {
+      console.error('❌ Database query failed:', error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get the snapshots the unusual activity scan needs for contracts captured since a point in time:
+   * each contract's two latest captures plus the last capture of every day in the lookback window
+   * 
+   * @param {string[]} symbols - Underlying symbols (e.g., ['SPXW', 'AAPL'])
+   * @param {Date|string} since - Only include contracts captured at or after this time
+   * @param {number} lookbackDays - Days of history to include (default: 10)
+   */
+  static async getSnapshotsForScan(symbols, since, lookbackDays = 10) {
+    const client = await pool.connect();
+    
+    try {
+      // Create placeholders for the IN clause
+      const placeholders = symbols.map((_, index) => `$${index + 1}`).join(',');
+      const columns = SNAPSHOT_TIER_COLUMNS.join(', ');
+      
+      // Raw snapshots only cover the retention window, so older days come from the EOD tier
+      // Both tiers are filtered by symbol so only the scanned symbols' rows are ranked
+      const query = `
+        WITH recent AS (
+          SELECT DISTINCT option_symbol
+          FROM options_snapshots 
+          WHERE symbol IN (${placeholders})
+          AND captured_at >= $${symbols.length + 1}
+        ),
+        snapshots AS (
+          SELECT ${columns} FROM options_snapshots
+          WHERE symbol IN (${placeholders})
+          AND captured_at >= NOW() - ($${symbols.length + 2} * INTERVAL '1 day')
+          UNION ALL
+          SELECT ${columns} FROM options_snapshots_eod
+          WHERE symbol IN (${placeholders})
+          AND captured_at >= NOW() - ($${symbols.length + 2} * INTERVAL '1 day')
+          AND captured_at < COALESCE((SELECT MIN(captured_at) FROM options_snapshots), 'infinity')
+        ),
+        history AS (
+          SELECT 
+            s.*,
+            ROW_NUMBER() OVER (PARTITION BY s.option_symbol ORDER BY s.captured_at DESC) as snapshot_rank,
+            ROW_NUMBER() OVER (PARTITION BY s.option_symbol, (s.captured_at AT TIME ZONE 'America/New_York')::date ORDER BY s.captured_at DESC) as day_rank
+          FROM snapshots s
+          JOIN recent ON recent.option_symbol = s.option_symbol
+          WHERE (s.quality IS NULL OR s.quality <> 'invalid')
+        )
+        SELECT * FROM history
+        WHERE snapshot_rank <= 2 OR day_rank = 1
+        ORDER BY option_symbol, captured_at
+      `;
+      
+      const result = await client.query(query, [...symbols, since, lookbackDays]);
+      return result.rows;
+      
+    } catch (error) {
+      console.error('❌ Database query failed:', error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Insert unusual activity alerts, skipping ones already stored for the same snapshot
+   */
+  static async insertAlerts(alerts) {
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      const insertQuery = `
+        INSERT INTO options_alerts (
+          symbol, option_symbol, expiration_date, strike, option_type, alert_type,
+          value, baseline, score, details, captured_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        ON CONFLICT (option_symbol, alert_type, captured_at) DO NOTHING
+        RETURNING id
+      `;
+      
+      const results = [];
+      
+      for (const alert of alerts) {
+        const values = [
+          alert.symbol,
+          alert.option_symbol,
+          alert.expiration_date,
+          parseFloat(alert.strike),
+          alert.option_type,
+          alert.alert_type,
+          parseNullableFloat(alert.value),
+          parseNullableFloat(alert.baseline),
+          parseNullableFloat(alert.score),
+          JSON.stringify(alert.details || {}),
+          alert.captured_at
+        ];
+        
+        const result = await client.query(insertQuery, values);
+        if (result.rows.length > 0) {
+          results.push({ id: result.rows[0].id, action: 'inserted' });
+        }
+      }
+      
+      await client.query('COMMIT');
+      
+      console.log(`✅ Inserted ${results.length} alerts`);
+      return {
+        success: true,
+        totalProcessed: alerts.length,
+        insertedCount: results.length,
+        results: results
+      };
+      
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('❌ Alert insertion failed:', error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get stored alerts, newest first
+   * 
+   * @param {Object} filters
+   * @param {string[]|null} filters.symbols - Underlying symbols, null for all
+   * @param {string|null} filters.alertType - One of ALERT_TYPES, null for all
+   * @param {string|null} filters.optionType - 'Call', 'Put' or null for both
+   * @param {string|null} filters.startTime - Only alerts captured at or after this time
+   * @param {string|null} filters.endTime - Only alerts captured at or before this time
+   * @param {number} filters.limit - Maximum number of alerts to return (default: 500)
+   */
+  static async getAlerts({ symbols = null, alertType = null, optionType = null, startTime = null, endTime = null, limit = 500 } = {}) {
+    const client = await pool.connect();
+    
+    try {
+      const query = `
+        SELECT * FROM options_alerts 
+        WHERE ($1::varchar[] IS NULL OR symbol = ANY($1))
+        AND ($2::varchar IS NULL OR alert_type = $2)
+        AND ($3::varchar IS NULL OR option_type = $3)
+        AND ($4::timestamptz IS NULL OR captured_at >= $4)
+        AND ($5::timestamptz IS NULL OR captured_at <= $5)
+        ORDER BY captured_at DESC, score DESC NULLS LAST
+        LIMIT $6
+      `;
+      
+      const result = await client.query(query, [symbols, alertType, optionType, startTime, endTime, limit]);
+      return result.rows;
+      
+    } catch (error) {
+      console.error('❌ Database query failed:', error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get the expiration dates available for one or more underlying symbols
+   */
+  static async getAvailableExpirations(symbols) {
+    const client = await pool.connect();
+    
+    try {
+      // Create placeholders for the IN clause
+      const placeholders = symbols.map((_, index) => `$${index + 1}`).join(',');
+      
+      const query = `
+        SELECT 
+          expiration_date::date as expiration_date,
+          STRING_AGG(DISTINCT expiration_type, ', ') as expiration_types,
+          COUNT(*) as option_count,
+          MAX(timestamp) as last_updated
+        FROM options_data 
+        WHERE symbol IN (${placeholders})
+        GROUP BY expiration_date::date
+        ORDER BY expiration_date::date
+      `;
+      
+      const result = await client.query(query, symbols);
       return result.rows;
       
     } catch (error) {
@@ -134,32 +1107,32 @@ export class OptionsDatabase {
   }
 
   /**
-   * Get aggregated options data by symbol and date range - grouped by expiration_date and strike
-   * Returns separate put and call mid prices for each strike
+   * Get the snapshot time series for a single option contract
+   * Reads raw, hourly and end-of-day history (see tieredSnapshotsSql)
+   * 
+   * @param {string} optionSymbol - Full option symbol (e.g., "AAPL 250919P232.5")
+   * @param {string|null} startTime - Only include snapshots captured at or after this time
+   * @param {string|null} endTime - Only include snapshots captured at or before this time
+   * @param {number} limit - Maximum number of snapshots to return (default: 1000)
    */
-  static async getAggregatedOptionsData(symbol, startDate, endDate) {
+  static async getOptionHistory(optionSymbol, startTime = null, endTime = null, limit = 1000) {
     const client = await pool.connect();
     
     try {
       const query = `
-        SELECT 
-          expiration_date,
-          strike,
-          SUM(CASE WHEN option_type = 'Call' THEN mid ELSE 0 END) as call_mid_price,
-          SUM(CASE WHEN option_type = 'Put' THEN mid ELSE 0 END) as put_mid_price,
-          SUM(mid) as total_mid_price,
-          COUNT(*) as option_count,
-          COUNT(CASE WHEN option_type = 'Call' THEN 1 END) as call_count,
-          COUNT(CASE WHEN option_type = 'Put' THEN 1 END) as put_count
-        FROM options_data 
-        WHERE symbol = $1 
-        AND expiration_date BETWEEN $2 AND $3
-        AND mid IS NOT NULL
-        GROUP BY expiration_date, strike
-        ORDER BY expiration_date, strike
+        SELECT s.*, q.last as underlying_last, q.bid as underlying_bid, q.ask as underlying_ask
+        FROM (${tieredSnapshotsSql(`
+          option_symbol = $1 
+          AND ($2::timestamptz IS NULL OR captured_at >= $2)
+          AND ($3::timestamptz IS NULL OR captured_at <= $3)
+        `)}) s
+        LEFT JOIN underlying_quotes q
+          ON q.symbol = s.underlying_symbol AND q.captured_at = s.underlying_captured_at
+        ORDER BY s.captured_at
+        LIMIT $4
       `;
       
-      const result = await client.query(query, [symbol, startDate, endDate]);
+      const result = await client.query(query, [optionSymbol, startTime, endTime, limit]);
       return result.rows;
       
     } catch (error) {
@@ -171,36 +1144,43 @@ export class OptionsDatabase {
   }
 
   /**
-   * Get aggregated options data by multiple symbols and date range - grouped by expiration_date and strike
-   * Returns separate put and call mid prices for each strike across multiple symbols
+   * Get the snapshot time series for a strike across one or more underlying symbols
+   * Returns both puts and calls unless optionType is given
+   * Reads raw, hourly and end-of-day history (see tieredSnapshotsSql)
+   * 
+   * @param {string[]} symbols - Underlying symbols (e.g., ['SPX', 'SPXW'])
+   * @param {string} expirationDate - Expiration date (e.g., "2025-09-19")
+   * @param {number} strike - Strike price
+   * @param {string|null} optionType - 'Call', 'Put' or null for both
+   * @param {string|null} startTime - Only include snapshots captured at or after this time
+   * @param {string|null} endTime - Only include snapshots captured at or before this time
+   * @param {number} limit - Maximum number of snapshots to return (default: 1000)
    */
-  static async getAggregatedOptionsDataMultiSymbol(symbols, startDate, endDate) {
+  static async getStrikeHistory(symbols, expirationDate, strike, optionType = null, startTime = null, endTime = null, limit = 1000) {
     const client = await pool.connect();
     
     try {
       // Create placeholders for the IN clause
       const placeholders = symbols.map((_, index) => `$${index + 1}`).join(',');
+      const offset = symbols.length;
       
       const query = `
-        SELECT 
-          expiration_date,
-          strike,
-          SUM(CASE WHEN option_type = 'Call' THEN mid ELSE 0 END) as call_mid_price,
-          SUM(CASE WHEN option_type = 'Put' THEN mid ELSE 0 END) as put_mid_price,
-          SUM(mid) as total_mid_price,
-          COUNT(*) as option_count,
-          COUNT(CASE WHEN option_type = 'Call' THEN 1 END) as call_count,
-          COUNT(CASE WHEN option_type = 'Put' THEN 1 END) as put_count,
-          STRING_AGG(DISTINCT symbol, ', ') as symbols
-        FROM options_data 
-        WHERE symbol IN (${placeholders})
-        AND expiration_date BETWEEN $${symbols.length + 1} AND $${symbols.length + 2}
-        AND mid IS NOT NULL
-        GROUP BY expiration_date, strike
-        ORDER BY expiration_date, strike
+        SELECT s.*, q.last as underlying_last, q.bid as underlying_bid, q.ask as underlying_ask
+        FROM (${tieredSnapshotsSql(`
+          symbol IN (${placeholders})
+          AND expiration_date::date = $${offset + 1}::date
+          AND strike = $${offset + 2}
+          AND ($${offset + 3}::varchar IS NULL OR option_type = $${offset + 3})
+          AND ($${offset + 4}::timestamptz IS NULL OR captured_at >= $${offset + 4})
+          AND ($${offset + 5}::timestamptz IS NULL OR captured_at <= $${offset + 5})
+        `)}) s
+        LEFT JOIN underlying_quotes q
+          ON q.symbol = s.underlying_symbol AND q.captured_at = s.underlying_captured_at
+        ORDER BY s.captured_at, s.option_type
+        LIMIT $${offset + 6}
       `;
       
-      const params = [...symbols, startDate, endDate];
+      const params = [...symbols, expirationDate, strike, optionType, startTime, endTime, limit];
       const result = await client.query(query, params);
       return result.rows;
       
@@ -262,6 +1242,62 @@ export class OptionsDatabase {
     }
   }
   
+  /**
+   * Store Greeks calculated by lib/pricing.js on the current options_data rows
+   * Rows that already carry Greeks from the stream are left untouched
+   *
+   * @param {Object[]} results - Rows with id plus implied_volatility, delta, gamma, theta, vega and rho
+   */
+  static async saveCalculatedGreeks(results) {
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      const query = `
+        UPDATE options_data SET
+          implied_volatility = $2,
+          delta = $3,
+          gamma = $4,
+          theta = $5,
+          vega = $6,
+          rho = $7,
+          greeks_source = 'calculated'
+        WHERE id = $1
+          AND (greeks_source IS NULL OR greeks_source = 'calculated')
+      `;
+      
+      let updatedCount = 0;
+      for (const row of results) {
+        if (!row.id || row.implied_volatility === null || row.implied_volatility === undefined) {
+          continue;
+        }
+        const result = await client.query(query, [
+          row.id,
+          parseNullableFloat(row.implied_volatility),
+          parseNullableFloat(row.delta),
+          parseNullableFloat(row.gamma),
+          parseNullableFloat(row.theta),
+          parseNullableFloat(row.vega),
+          parseNullableFloat(row.rho)
+        ]);
+        updatedCount += result.rowCount;
+      }
+      
+      await client.query('COMMIT');
+      console.log(`✅ Saved calculated Greeks for ${updatedCount} options`);
+      
+      return { success: true, updatedCount };
+      
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('❌ Database insertion failed:', error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+  
   /**
    * Clean up old options records for specific symbols
    * Keeps only the most recent records for each symbol based on timestamp
@@ -415,6 +1451,394 @@ export class OptionsDatabase {
     }
   }
 
+  /**
+   * Create the partitions of a partitioned history table that cover [from, to]
+   * 
+   * @param {string} table - options_snapshots, options_snapshots_hourly or options_snapshots_eod
+   * @param {Date|string} from - Start of the range
+   * @param {Date|string} to - End of the range
+   */
+  static async ensurePartitions(table, from, to) {
+    const client = await pool.connect();
+    
+    try {
+      await createMissingPartitions(client, table, from, to);
+    } catch (error) {
+      console.error('❌ Partition creation failed:', error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * List the partitions of a partitioned history table, oldest first
+   * estimatedRows comes from the planner statistics and is null before the first ANALYZE
+   */
+  static async listPartitions(table) {
+    const client = await pool.connect();
+    
+    try {
+      const query = `
+        SELECT child.relname AS name, child.reltuples::bigint AS estimated_rows
+        FROM pg_inherits 
+        JOIN pg_class parent ON parent.oid = pg_inherits.inhparent
+        JOIN pg_class child ON child.oid = pg_inherits.inhrelid
+        WHERE parent.relname = $1
+        ORDER BY child.relname
+      `;
+      
+      const result = await client.query(query, [table]);
+      return result.rows
+        .map(row => {
+          const range = parsePartitionName(table, row.name);
+          return range && {
+            ...range,
+            estimatedRows: parseInt(row.estimated_rows) >= 0 ? parseInt(row.estimated_rows) : null
+          };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.start - b.start);
+      
+    } catch (error) {
+      console.error('❌ Database query failed:', error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Detach and drop every partition of a table that ends at or before the cutoff
+   * Whole partitions are dropped, so rows are kept until their entire partition has expired
+   * 
+   * @param {string} table - Partitioned history table
+   * @param {Date} cutoff - Partitions ending at or before this time are dropped
+   * @param {boolean} dryRun - If true, only list the partitions that would be dropped
+   */
+  static async dropExpiredPartitions(table, cutoff, dryRun = false) {
+    const partitions = await this.listPartitions(table);
+    const expired = partitions.filter(partition => partition.end <= cutoff);
+    
+    if (dryRun || expired.length === 0) {
+      expired.forEach(partition => console.log(`🔍 [DRY RUN] Would drop ${partition.name}`));
+      return expired;
+    }
+    
+    const client = await pool.connect();
+    
+    try {
+      for (const partition of expired) {
+        await client.query('BEGIN');
+        await client.query(`ALTER TABLE ${table} DETACH PARTITION ${partition.name}`);
+        await client.query(`DROP TABLE ${partition.name}`);
+        await client.query('COMMIT');
+        ensuredPartitions.delete(partition.name);
+        console.log(`🗑️  Dropped partition ${partition.name} (~${partition.estimatedRows ?? '?'} rows)`);
+      }
+      return expired;
+      
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('❌ Partition drop failed:', error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Downsample raw snapshots into an hourly or end-of-day tier, keeping the last
+   * snapshot per contract and bucket
+   * Resumes from the tier's latest bucket, which is re-read so a bucket that was still
+   * filling up on the previous run gets its final snapshot
+   * 
+   * @param {string} resolution - 'hour' (options_snapshots_hourly) or 'day' (options_snapshots_eod)
+   */
+  static async downsampleSnapshots(resolution) {
+    const tier = SNAPSHOT_TIERS[resolution];
+    if (!tier) {
+      throw new Error(`Unknown snapshot resolution: ${resolution}`);
+    }
+    
+    const client = await pool.connect();
+    
+    try {
+      const columns = SNAPSHOT_TIER_COLUMNS.join(', ');
+      const resumeFrom = `COALESCE(${tier.resumeFrom}, '-infinity'::timestamptz)`;
+      
+      // Partitions for every bucket about to be written (a day back for New York trading dates)
+      const range = await client.query(`
+        SELECT MIN(captured_at) AS oldest, MAX(captured_at) AS newest
+        FROM options_snapshots 
+        WHERE captured_at >= ${resumeFrom}
+      `);
+      const { oldest, newest } = range.rows[0];
+      if (!oldest) {
+        return { table: tier.table, rowCount: 0 };
+      }
+      await createMissingPartitions(client, tier.table, new Date(new Date(oldest).getTime() - 24 * 60 * 60 * 1000), newest);
+      
+      const query = `
+        INSERT INTO ${tier.table} (${tier.column}, ${columns})
+        SELECT DISTINCT ON (option_symbol, ${tier.bucket})
+          ${tier.bucket}, ${columns}
+        FROM options_snapshots 
+        WHERE captured_at >= ${resumeFrom}
+        ORDER BY option_symbol, ${tier.bucket}, captured_at DESC
+        ON CONFLICT (option_symbol, ${tier.column}) 
+        DO UPDATE SET ${SNAPSHOT_TIER_COLUMNS.map(column => `${column} = EXCLUDED.${column}`).join(', ')}
+        WHERE ${tier.table}.captured_at < EXCLUDED.captured_at
+      `;
+      
+      const result = await client.query(query);
+      console.log(`✅ Downsampled ${result.rowCount} rows into ${tier.table}`);
+      return { table: tier.table, rowCount: result.rowCount };
+      
+    } catch (error) {
+      console.error('❌ Downsampling failed:', error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Build the options_daily bars for one New York trading date from the intraday snapshots
+   * Idempotent: the date's bars are replaced in one transaction, so a rerun after more
+   * snapshots arrive (or a late backfill) gives the same result as a single run at the close
+   * Uses raw snapshots while they are retained, then the hourly tier; when neither has the
+   * date, existing bars are left alone
+   * 
+   * @param {string} tradeDate - Trading date (YYYY-MM-DD)
+   * @returns {Object} { tradeDate, source, rowCount, replaced }
+   */
+  static async rollupDailyBars(tradeDate) {
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      // Serialize concurrent rollups so the delete and insert of a date never interleave
+      await client.query(`SELECT pg_advisory_xact_lock(hashtext('options_daily'))`);
+      
+      // The captured_at range lets Postgres prune to the partitions around the date
+      const dayFilter = `
+        captured_at >= $1::date - INTERVAL '1 day'
+        AND captured_at < $1::date + INTERVAL '2 days'
+        AND (captured_at AT TIME ZONE 'America/New_York')::date = $1::date
+        AND (quality IS NULL OR quality <> 'invalid')
+      `;
+      
+      let source = null;
+      for (const table of DAILY_BAR_SOURCES) {
+        const exists = await client.query(`SELECT EXISTS (SELECT 1 FROM ${table} WHERE ${dayFilter}) AS found`, [tradeDate]);
+        if (exists.rows[0].found) {
+          source = table;
+          break;
+        }
+      }
+      
+      if (!source) {
+        await client.query('COMMIT');
+        console.log(`ℹ️  No snapshots found for ${tradeDate}, daily bars left unchanged`);
+        return { tradeDate, source: null, rowCount: 0, replaced: 0 };
+      }
+      
+      const deleteResult = await client.query('DELETE FROM options_daily WHERE trade_date = $1', [tradeDate]);
+      
+      const query = `
+        INSERT INTO options_daily (
+          trade_date, option_symbol, symbol, expiration_date, strike, expiration_type, option_type,
+          open, high, low, close, bid, ask, implied_volatility, underlying_price, volume, open_interest,
+          snapshot_count, first_captured_at, last_captured_at, source
+        )
+        SELECT 
+          $1::date,
+          option_symbol,
+          (array_agg(symbol ORDER BY captured_at DESC))[1],
+          (array_agg(expiration_date ORDER BY captured_at DESC))[1],
+          (array_agg(strike ORDER BY captured_at DESC))[1],
+          (array_agg(expiration_type ORDER BY captured_at DESC))[1],
+          (array_agg(option_type ORDER BY captured_at DESC))[1],
+          (array_agg(price ORDER BY captured_at) FILTER (WHERE price IS NOT NULL))[1],
+          MAX(price),
+          MIN(price),
+          ${lastValue('price')},
+          ${lastValue('bid')},
+          ${lastValue('ask')},
+          ${lastValue('implied_volatility')},
+          ${lastValue('underlying_price')},
+          ${lastValue('volume')},
+          ${lastValue('open_interest')},
+          COUNT(*),
+          MIN(captured_at),
+          MAX(captured_at),
+          $2
+        FROM (
+          SELECT *, COALESCE(mid, last) AS price
+          FROM ${source} 
+          WHERE ${dayFilter}
+        ) day
+        GROUP BY option_symbol
+      `;
+      
+      const result = await client.query(query, [tradeDate, source]);
+      await client.query('COMMIT');
+      
+      console.log(`✅ Rolled up ${result.rowCount} daily bars for ${tradeDate} from ${source} (replaced ${deleteResult.rowCount})`);
+      return { tradeDate, source, rowCount: result.rowCount, replaced: deleteResult.rowCount };
+      
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('❌ Daily rollup failed:', error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Load persisted OAuth token state for a provider
+   * Returns null when nothing has been stored yet
+   */
+  static async loadTokenState(provider) {
+    const client = await pool.connect();
+    
+    try {
+      const query = `
+        SELECT access_token, refresh_token, token_expiry, seed_token_hash, revoked, updated_at
+        FROM oauth_tokens 
+        WHERE provider = $1
+      `;
+      
+      const result = await client.query(query, [provider]);
+      return result.rows[0] || null;
+      
+    } catch (error) {
+      console.error('❌ Database query failed:', error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Save OAuth token state for a provider (access token, expiry, the latest refresh token,
+   * the hash of the env token it was seeded from and whether it was revoked)
+   */
+  static async saveTokenState(provider, { accessToken, refreshToken, tokenExpiry, seedTokenHash = null, revoked = false }) {
+    const client = await pool.connect();
+    
+    try {
+      const query = `
+        INSERT INTO oauth_tokens (provider, access_token, refresh_token, token_expiry, seed_token_hash, revoked, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, NOW())
+        ON CONFLICT (provider)
+        DO UPDATE SET
+          access_token = EXCLUDED.access_token,
+          refresh_token = COALESCE(EXCLUDED.refresh_token, oauth_tokens.refresh_token),
+          token_expiry = EXCLUDED.token_expiry,
+          seed_token_hash = EXCLUDED.seed_token_hash,
+          revoked = EXCLUDED.revoked,
+          updated_at = NOW()
+      `;
+      
+      await client.query(query, [provider, accessToken, refreshToken, tokenExpiry ? new Date(tokenExpiry) : null, seedTokenHash, !!revoked]);
+      return true;
+      
+    } catch (error) {
+      console.error('❌ Database query failed:', error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get the applied schema migrations, oldest first
+   * Returns an empty list when the schema_migrations table does not exist yet
+   */
+  static async getAppliedMigrations() {
+    const client = await pool.connect();
+    
+    try {
+      const exists = await client.query(`SELECT to_regclass('schema_migrations') IS NOT NULL AS exists`);
+      if (!exists.rows[0].exists) {
+        return [];
+      }
+      
+      const result = await client.query(`
+        SELECT version, name, checksum, applied_at, execution_ms
+        FROM schema_migrations 
+        ORDER BY version
+      `);
+      return result.rows;
+      
+    } catch (error) {
+      console.error('❌ Database query failed:', error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Apply or revert one migration in its own transaction and record it in schema_migrations
+   * A transaction-level advisory lock serializes concurrent runners; a migration another
+   * runner applied (or reverted) while this one waited is skipped
+   * 
+   * @param {Object} migration - { version, name, checksum, up, down } from lib/migrations.js
+   * @param {string} direction - 'up' or 'down'
+   * @returns {boolean} Whether the migration ran
+   */
+  static async runMigration(migration, direction) {
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      await client.query(`SELECT pg_advisory_xact_lock(hashtext('schema_migrations'))`);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          checksum VARCHAR(64) NOT NULL,
+          applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          execution_ms INTEGER
+        )
+      `);
+      
+      const existing = await client.query('SELECT version FROM schema_migrations WHERE version = $1', [migration.version]);
+      const applied = existing.rows.length > 0;
+      if (applied === (direction === 'up')) {
+        await client.query('ROLLBACK');
+        return false;
+      }
+      
+      const started = Date.now();
+      await migration[direction](client);
+      
+      if (direction === 'up') {
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)',
+          [migration.version, migration.name, migration.checksum, Date.now() - started]
+        );
+      } else {
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      }
+      
+      await client.query('COMMIT');
+      return true;
+      
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(`❌ Migration ${migration.version}_${migration.name} (${direction}) failed:`, error.message);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   /**
    * Test database connection
    */
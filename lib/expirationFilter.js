@@ -0,0 +1,91 @@
+/**
+ * Expiration selection for a collection run
+ * Shared by the collector, the collect-options route and options-config.json
+ */
+
+// Expiration types returned by the TradeStation expirations endpoint
+export const EXPIRATION_TYPES = ['Daily', 'Weekly', 'Monthly', 'Quarterly', 'EOM'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Today's date (YYYY-MM-DD) on the US options market calendar
+ */
+export function marketDate(now = new Date()) {
+  return now.toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+}
+
+/**
+ * Calendar days from the market date of `now` to an expiration (0 on expiration day)
+ */
+export function daysToExpirationDate(expirationDate, now = new Date()) {
+  const expiration = Date.parse(new Date(expirationDate).toISOString().slice(0, 10));
+  return Math.round((expiration - Date.parse(marketDate(now))) / DAY_MS);
+}
+
+/**
+ * Validate an expiration filter
+ * Accepts null (every expiration), a type ("Monthly"), a comma-separated string or array
+ * of types (["Weekly", "Daily"]) or an object { types, minDte, maxDte }
+ * Returns { filter, errors } - filter is null when nothing is filtered
+ */
+export function validateExpirationFilter(input) {
+  const errors = [];
+  if (input === undefined || input === null || input === '') {
+    return { filter: null, errors };
+  }
+
+  const spec = typeof input === 'object' && !Array.isArray(input) ? input : { types: input };
+  const filter = { types: null, minDte: null, maxDte: null };
+
+  if (spec.types !== undefined && spec.types !== null) {
+    const requested = Array.isArray(spec.types) ? spec.types : String(spec.types).split(',');
+    const types = [];
+    requested.map(type => String(type).trim()).filter(Boolean).forEach(type => {
+      const match = EXPIRATION_TYPES.find(known => known.toLowerCase() === type.toLowerCase());
+      if (match) {
+        types.push(match);
+      } else {
+        errors.push(`expirationFilter type must be one of: ${EXPIRATION_TYPES.join(', ')} (got ${type})`);
+      }
+    });
+    filter.types = types.length > 0 ? [...new Set(types)] : null;
+  }
+
+  ['minDte', 'maxDte'].forEach(key => {
+    if (spec[key] !== undefined && spec[key] !== null) {
+      const value = Number(spec[key]);
+      if (!Number.isInteger(value) || value < 0) {
+        errors.push(`expirationFilter ${key} must be a non-negative integer`);
+      } else {
+        filter[key] = value;
+      }
+    }
+  });
+
+  if (filter.minDte !== null && filter.maxDte !== null && filter.minDte > filter.maxDte) {
+    errors.push('expirationFilter minDte must not be greater than maxDte');
+  }
+
+  const empty = filter.types === null && filter.minDte === null && filter.maxDte === null;
+  return { filter: empty ? null : filter, errors };
+}
+
+/**
+ * Whether a TradeStation expiration ({ Date, Type }) passes a validated filter
+ */
+export function matchesExpirationFilter(expiration, filter, now = new Date()) {
+  if (!filter) {
+    return true;
+  }
+  if (filter.types && !filter.types.includes(expiration.Type)) {
+    return false;
+  }
+  if (filter.minDte !== null || filter.maxDte !== null) {
+    const dte = daysToExpirationDate(expiration.Date, now);
+    if ((filter.minDte !== null && dte < filter.minDte) || (filter.maxDte !== null && dte > filter.maxDte)) {
+      return false;
+    }
+  }
+  return true;
+}
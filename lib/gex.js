@@ -0,0 +1,170 @@
+import {
+  MODELS,
+  modelForSymbol,
+  optionGreeks,
+  resolveImpliedVolatility,
+  timeToExpiry
+} from './pricing.js';
+import { CONTRACT_MULTIPLIER } from './analytics.js';
+
+/**
+ * Dealer gamma exposure (GEX)
+ *
+ * Assumes the usual dealer positioning: customers buy calls and sell puts, so dealers
+ * are long call gamma and short put gamma. Exposure is in dollars of delta change for
+ * a 1% move in the underlying: gamma × open interest × multiplier × spot² × 0.01.
+ */
+
+const ONE_PERCENT = 0.01;
+
+/**
+ * Gamma exposure of one contract at a given spot (signed: calls +, puts -)
+ */
+function contractGex(contract, spot) {
+  const { gamma } = optionGreeks({
+    optionType: contract.optionType,
+    spot,
+    strike: contract.strike,
+    time: contract.time,
+    rate: contract.rate,
+    dividendYield: contract.dividendYield,
+    volatility: contract.volatility
+  });
+  const sign = contract.optionType === 'Call' ? 1 : -1;
+  return sign * gamma * contract.openInterest * CONTRACT_MULTIPLIER * spot * spot * ONE_PERCENT;
+}
+
+/**
+ * Prepare contracts: resolve implied volatility and drop those without open interest or a price
+ * Spot gamma comes from Black-Scholes-Merton with the model's carry, which matches Black-76
+ * on the implied forward for index options
+ */
+function prepareContracts(rows, { spot, rate, dividendYield, indexDividendYield, now }) {
+  const inputs = { underlyingPrice: spot, rate, dividendYield, indexDividendYield, now };
+  const contracts = [];
+  let skipped = 0;
+
+  rows.forEach(row => {
+    const openInterest = parseFloat(row.open_interest);
+    const volatility = openInterest > 0 ? resolveImpliedVolatility(row, inputs) : null;
+    if (volatility === null) {
+      skipped++;
+      return;
+    }
+    const model = modelForSymbol(row.option_symbol || row.symbol);
+    contracts.push({
+      strike: parseFloat(row.strike),
+      optionType: row.option_type,
+      openInterest,
+      volatility,
+      time: timeToExpiry(row.expiration_date, now),
+      rate,
+      dividendYield: model === MODELS.BLACK_76 ? indexDividendYield : dividendYield
+    });
+  });
+
+  return { contracts, skipped };
+}
+
+/**
+ * Total net GEX for all contracts at a hypothetical spot, holding each contract's IV fixed
+ */
+function totalGexAt(contracts, spot) {
+  return contracts.reduce((total, contract) => total + contractGex(contract, spot), 0);
+}
+
+/**
+ * Zero-gamma level: where total net GEX crosses zero on the spot grid, nearest the current spot
+ */
+function findZeroGamma(profile, spot) {
+  const crossings = [];
+  for (let index = 0; index < profile.length - 1; index++) {
+    const left = profile[index];
+    const right = profile[index + 1];
+    if (left.net_gex === 0) {
+      crossings.push(left.spot);
+    } else if (Math.sign(left.net_gex) !== Math.sign(right.net_gex) && right.net_gex !== 0) {
+      // Linear interpolation between the two grid points
+      crossings.push(left.spot + (right.spot - left.spot) * (-left.net_gex) / (right.net_gex - left.net_gex));
+    }
+  }
+  if (crossings.length === 0) {
+    return null;
+  }
+  return crossings.sort((a, b) => Math.abs(a - spot) - Math.abs(b - spot))[0];
+}
+
+/**
+ * Gamma exposure by strike, total GEX and the zero-gamma flip level
+ *
+ * @param {Object[]} rows - Current contract rows (strike, option_type, expiration_date, open_interest, prices or IV)
+ * @param {Object} options
+ * @param {number} options.spot - Underlying price
+ * @param {number} options.gridRange - Spot grid half-width as a fraction of spot (default 0.1)
+ * @param {number} options.gridPoints - Number of spot grid points (default 81)
+ * @param {number} options.strikeRange - Only list strikes within this fraction of spot (default 0.2)
+ * @param {number} options.rate - Risk-free rate
+ * @param {number} options.dividendYield - Equity dividend yield
+ * @param {number} options.indexDividendYield - Index dividend yield
+ * @param {Date} options.now - Valuation time
+ */
+export function calculateGammaExposure(rows, {
+  spot,
+  gridRange = 0.1,
+  gridPoints = 81,
+  strikeRange = 0.2,
+  rate = 0,
+  dividendYield = 0,
+  indexDividendYield = 0,
+  now = new Date()
+}) {
+  const { contracts, skipped } = prepareContracts(rows, { spot, rate, dividendYield, indexDividendYield, now });
+
+  const byStrike = new Map();
+  contracts.forEach(contract => {
+    const entry = byStrike.get(contract.strike) || {
+      strike: contract.strike,
+      call_gex: 0,
+      put_gex: 0,
+      net_gex: 0,
+      call_oi: 0,
+      put_oi: 0
+    };
+    const gex = contractGex(contract, spot);
+    if (contract.optionType === 'Call') {
+      entry.call_gex += gex;
+      entry.call_oi += contract.openInterest;
+    } else {
+      entry.put_gex += gex;
+      entry.put_oi += contract.openInterest;
+    }
+    entry.net_gex += gex;
+    byStrike.set(contract.strike, entry);
+  });
+
+  const strikes = [...byStrike.values()].sort((a, b) => a.strike - b.strike);
+  const totalCallGex = strikes.reduce((total, entry) => total + entry.call_gex, 0);
+  const totalPutGex = strikes.reduce((total, entry) => total + entry.put_gex, 0);
+
+  const profile = [];
+  const steps = Math.max(2, gridPoints) - 1;
+  for (let index = 0; index <= steps; index++) {
+    const gridSpot = spot * (1 - gridRange + 2 * gridRange * index / steps);
+    profile.push({ spot: gridSpot, net_gex: totalGexAt(contracts, gridSpot) });
+  }
+
+  const peak = strikes.reduce((max, entry) => Math.abs(entry.net_gex) > Math.abs(max?.net_gex ?? 0) ? entry : max, null);
+
+  return {
+    underlying_price: spot,
+    contracts: contracts.length,
+    skipped_contracts: skipped,
+    total_gex: totalCallGex + totalPutGex,
+    total_call_gex: totalCallGex,
+    total_put_gex: totalPutGex,
+    zero_gamma_level: findZeroGamma(profile, spot),
+    peak_gex_strike: peak?.strike ?? null,
+    strikes: strikes.filter(entry => Math.abs(entry.strike / spot - 1) <= strikeRange),
+    profile
+  };
+}
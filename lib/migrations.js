@@ -0,0 +1,217 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { pathToFileURL } from 'url';
+import { OptionsDatabase } from './database.js';
+
+/**
+ * Versioned schema migrations
+ *
+ * Migrations live in database/migrations, named <version>_<name>:
+ * - SQL: 002_add_column.up.sql with an optional 002_add_column.down.sql
+ * - JS: 002_backfill.js exporting async up(client) and down(client)
+ * Each runs in its own transaction and is recorded in schema_migrations with a checksum
+ * of its up step, so edits to an applied migration show up as 'modified' in the status.
+ */
+
+export const MIGRATIONS_DIR = path.join(process.cwd(), 'database', 'migrations');
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+?)(?:\.(up|down))?\.(sql|js)$/;
+
+const checksum = (source) => crypto.createHash('sha256').update(source).digest('hex');
+
+const label = (migration) => `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+
+/**
+ * Step that runs a SQL file's statements
+ */
+function sqlStep(file) {
+  return (client) => client.query(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Step that imports a JS migration when it runs, so reading the status never loads it
+ */
+function jsStep(file, direction) {
+  return async (client) => {
+    const module = await import(/* webpackIgnore: true */ pathToFileURL(file).href);
+    if (typeof module[direction] !== 'function') {
+      throw new Error(`${path.basename(file)} does not export ${direction}()`);
+    }
+    return module[direction](client);
+  };
+}
+
+/**
+ * Read the migrations on disk, oldest first
+ *
+ * @param {string} dir - Migrations directory (default: database/migrations)
+ * @returns {Object[]} { version, name, checksum, up, down } - down is null when there is no down step
+ */
+export function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  fs.readdirSync(dir).sort().forEach(file => {
+    const match = file.match(MIGRATION_FILE);
+    if (!match) {
+      return;
+    }
+
+    const [, versionText, name, direction, extension] = match;
+    const version = parseInt(versionText, 10);
+    const fullPath = path.join(dir, file);
+    const migration = byVersion.get(version) || { version, name, checksum: null, up: null, down: null };
+
+    if (migration.name !== name) {
+      throw new Error(`Migration version ${version} is used by both ${migration.name} and ${name}`);
+    }
+
+    if (extension === 'js') {
+      if (direction) {
+        throw new Error(`${file}: JS migrations export up() and down() from a single file`);
+      }
+      migration.up = jsStep(fullPath, 'up');
+      migration.down = jsStep(fullPath, 'down');
+      migration.checksum = checksum(fs.readFileSync(fullPath));
+    } else if (direction === 'down') {
+      migration.down = sqlStep(fullPath);
+    } else {
+      migration.up = sqlStep(fullPath);
+      migration.checksum = checksum(fs.readFileSync(fullPath));
+    }
+
+    byVersion.set(version, migration);
+  });
+
+  return [...byVersion.values()]
+    .map(migration => {
+      if (!migration.up) {
+        throw new Error(`Migration ${label(migration)} has no up step`);
+      }
+      return migration;
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Compare the migrations on disk with the ones recorded in schema_migrations
+ * Status per migration: applied, pending, modified (applied, but its up step changed since)
+ * or missing (recorded, but no longer on disk)
+ */
+export async function getMigrationStatus(dir = MIGRATIONS_DIR) {
+  const migrations = loadMigrations(dir);
+  const applied = await OptionsDatabase.getAppliedMigrations();
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+  const onDisk = new Set(migrations.map(migration => migration.version));
+
+  const list = migrations.map(migration => {
+    const row = appliedByVersion.get(migration.version);
+    return {
+      version: migration.version,
+      name: migration.name,
+      status: !row ? 'pending' : row.checksum === migration.checksum ? 'applied' : 'modified',
+      applied_at: row ? row.applied_at : null,
+      has_down: migration.down !== null
+    };
+  });
+
+  applied
+    .filter(row => !onDisk.has(row.version))
+    .forEach(row => list.push({
+      version: row.version,
+      name: row.name,
+      status: 'missing',
+      applied_at: row.applied_at,
+      has_down: false
+    }));
+  list.sort((a, b) => a.version - b.version);
+
+  const pending = list.filter(migration => migration.status === 'pending');
+  return {
+    current_version: applied.length > 0 ? Math.max(...applied.map(row => row.version)) : null,
+    latest_version: migrations.length > 0 ? migrations[migrations.length - 1].version : null,
+    pending: pending.length,
+    up_to_date: pending.length === 0,
+    migrations: list
+  };
+}
+
+/**
+ * Apply pending migrations in version order
+ *
+ * @param {Object} options
+ * @param {number} options.to - Stop after this version (default: latest)
+ * @param {string} options.dir - Migrations directory
+ */
+export async function migrate({ to = null, dir = MIGRATIONS_DIR } = {}) {
+  const migrations = loadMigrations(dir);
+  const applied = new Set((await OptionsDatabase.getAppliedMigrations()).map(row => row.version));
+  const pending = migrations.filter(migration =>
+    !applied.has(migration.version) && (to === null || migration.version <= to));
+
+  const ran = [];
+  for (const migration of pending) {
+    console.log(`⬆️  Applying ${label(migration)}...`);
+    if (await OptionsDatabase.runMigration(migration, 'up')) {
+      ran.push(label(migration));
+    }
+  }
+
+  console.log(`✅ Applied ${ran.length} migrations`);
+  return { applied: ran };
+}
+
+/**
+ * Revert applied migrations, newest first
+ *
+ * @param {Object} options
+ * @param {number} options.steps - Number of migrations to revert (default: 1)
+ * @param {number} options.to - Revert every migration above this version instead (0 reverts all)
+ * @param {string} options.dir - Migrations directory
+ */
+export async function rollback({ steps = 1, to = null, dir = MIGRATIONS_DIR } = {}) {
+  const migrations = new Map(loadMigrations(dir).map(migration => [migration.version, migration]));
+  const applied = (await OptionsDatabase.getAppliedMigrations()).map(row => row.version).sort((a, b) => b - a);
+  const targets = to !== null ? applied.filter(version => version > to) : applied.slice(0, steps);
+
+  // Check every target before reverting any, so a missing down step does not stop halfway
+  targets.forEach(version => {
+    const migration = migrations.get(version);
+    if (!migration) {
+      throw new Error(`Applied migration ${version} is not on disk and cannot be rolled back`);
+    }
+    if (!migration.down) {
+      throw new Error(`Migration ${label(migration)} has no down step`);
+    }
+  });
+
+  const reverted = [];
+  for (const version of targets) {
+    const migration = migrations.get(version);
+    console.log(`⬇️  Reverting ${label(migration)}...`);
+    if (await OptionsDatabase.runMigration(migration, 'down')) {
+      reverted.push(label(migration));
+    }
+  }
+
+  console.log(`✅ Reverted ${reverted.length} migrations`);
+  return { reverted };
+}
+
+// Last up-to-date status seen by this process; pending results are re-checked every time
+let upToDateStatus = null;
+
+/**
+ * Migration status for health checks
+ * Checked against the database on the first call after startup; once the schema is
+ * up to date the result is reused, so only a pending schema keeps querying
+ */
+export async function checkMigrations({ refresh = false } = {}) {
+  if (upToDateStatus && !refresh) {
+    return upToDateStatus;
+  }
+
+  const status = await getMigrationStatus();
+  upToDateStatus = status.up_to_date ? { ...status, checked_at: new Date().toISOString() } : null;
+  return upToDateStatus || { ...status, checked_at: new Date().toISOString() };
+}
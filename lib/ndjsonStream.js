@@ -0,0 +1,178 @@
+import { StringDecoder } from 'string_decoder';
+
+/**
+ * Newline-delimited JSON stream reader for TradeStation streaming endpoints
+ * Parses objects as chunks arrive and understands the stream control messages
+ */
+
+/**
+ * Error frame sent by the TradeStation stream (e.g. {"Error": "INVALID_SYMBOL", "Message": "..."})
+ */
+export class StreamError extends Error {
+  constructor(message, { code = null, frame = null } = {}) {
+    super(message);
+    this.name = 'StreamError';
+    this.code = code;
+    this.frame = frame;
+  }
+}
+
+/**
+ * Incremental NDJSON parser
+ * Keeps the trailing partial line between chunks so objects split across chunks still parse
+ * Bytes are decoded with a streaming decoder, so a UTF-8 character split across chunks stays intact
+ */
+export class NdjsonParser {
+  constructor() {
+    this.decoder = new StringDecoder('utf8');
+    this.buffer = '';
+    this.invalidLines = 0;
+  }
+
+  /**
+   * Feed a chunk and get back every complete object it finished
+   */
+  push(chunk) {
+    this.buffer += typeof chunk === 'string' ? chunk : this.decoder.write(chunk);
+    const lines = this.buffer.split('\n');
+    this.buffer = lines.pop();
+    return this.parseLines(lines);
+  }
+
+  /**
+   * Parse whatever is left in the buffer once the stream has ended
+   */
+  flush() {
+    const remaining = this.buffer + this.decoder.end();
+    this.buffer = '';
+    return this.parseLines([remaining]);
+  }
+
+  parseLines(lines) {
+    const objects = [];
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed) {
+        continue;
+      }
+      try {
+        objects.push(JSON.parse(trimmed));
+      } catch (parseError) {
+        this.invalidLines++;
+        console.warn(`⚠️  Failed to parse line: ${trimmed.substring(0, 100)}...`);
+      }
+    }
+    return objects;
+  }
+}
+
+/**
+ * Classify a parsed stream message
+ * Returns 'heartbeat', 'status', 'error' or 'data'
+ */
+export function classifyMessage(message) {
+  if (!message || typeof message !== 'object') {
+    return 'data';
+  }
+  if (message.Heartbeat !== undefined) {
+    return 'heartbeat';
+  }
+  if (message.StreamStatus !== undefined) {
+    return 'status';
+  }
+  if (message.Error !== undefined) {
+    return 'error';
+  }
+  return 'data';
+}
+
+/**
+ * Read a TradeStation stream until the initial snapshot is complete
+ *
+ * Data messages are handed to onData as they arrive. The stream is closed once
+ * StreamStatus EndSnapshot (or GoAway) is received, or when maxDuration elapses
+ * as a fallback. Error frames reject with a StreamError.
+ *
+ * @param {import('stream').Readable} stream - Response body stream
+ * @param {Object} options
+ * @param {number} options.maxDuration - Maximum time to wait for the snapshot in milliseconds
+ * @param {Function} options.onData - Called with each data message
+ */
+export function readSnapshotStream(stream, { maxDuration, onData }) {
+  return new Promise((resolve, reject) => {
+    const parser = new NdjsonParser();
+    const stats = {
+      bytesReceived: 0,
+      messages: 0,
+      heartbeats: 0,
+      invalidLines: 0,
+      endReason: null
+    };
+    let settled = false;
+
+    const finish = (endReason, error = null) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timeoutId);
+      stats.endReason = endReason;
+      stats.invalidLines = parser.invalidLines;
+      stream.destroy();
+      if (error) {
+        error.stats = stats;
+        reject(error);
+      } else {
+        resolve(stats);
+      }
+    };
+
+    const handleMessages = (messages) => {
+      for (const message of messages) {
+        if (settled) {
+          return;
+        }
+        switch (classifyMessage(message)) {
+          case 'heartbeat':
+            stats.heartbeats++;
+            break;
+          case 'status':
+            if (message.StreamStatus === 'EndSnapshot') {
+              finish('end_snapshot');
+            } else if (message.StreamStatus === 'GoAway') {
+              finish('go_away');
+            }
+            break;
+          case 'error':
+            finish('error', new StreamError(message.Message || message.Error, {
+              code: message.Error,
+              frame: message
+            }));
+            break;
+          default:
+            stats.messages++;
+            onData(message);
+        }
+      }
+    };
+
+    const timeoutId = setTimeout(() => finish('timeout'), maxDuration);
+
+    stream.on('data', (chunk) => {
+      if (settled) {
+        return;
+      }
+      stats.bytesReceived += chunk.length;
+      handleMessages(parser.push(chunk));
+    });
+
+    stream.on('end', () => {
+      handleMessages(parser.flush());
+      finish('stream_end');
+    });
+
+    stream.on('error', (error) => {
+      finish('error', error);
+    });
+  });
+}
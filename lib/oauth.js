@@ -0,0 +1,119 @@
+import crypto from 'crypto';
+import axios from 'axios';
+
+/**
+ * TradeStation OAuth authorization-code flow with PKCE
+ * The sign-in base URL is configurable so the flow can run against a local mock server
+ */
+
+export const OAUTH_STATE_COOKIE = 'ts_oauth_state';
+
+const DEFAULT_SCOPES = 'openid offline_access profile MarketData ReadAccount';
+
+/**
+ * Base URL of the TradeStation sign-in server (authorize and token endpoints)
+ */
+export function getAuthBaseUrl() {
+  return (process.env.TRADESTATION_AUTH_BASE_URL || 'https://signin.tradestation.com').replace(/\/$/, '');
+}
+
+function base64Url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Create a PKCE verifier/challenge pair and an anti-CSRF state value
+ */
+export function createPkcePair() {
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+  const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+  const state = base64Url(crypto.randomBytes(16));
+  return { codeVerifier, codeChallenge, state };
+}
+
+/**
+ * Redirect URI registered for this app, falling back to the callback route on the request origin
+ */
+export function getRedirectUri(request) {
+  if (process.env.TRADESTATION_REDIRECT_URI) {
+    return process.env.TRADESTATION_REDIRECT_URI;
+  }
+  return `${new URL(request.url).origin}/api/auth/callback`;
+}
+
+/**
+ * Build the URL the user is sent to for sign-in and consent
+ */
+export function buildAuthorizeUrl({ redirectUri, codeChallenge, state }) {
+  const url = new URL(`${getAuthBaseUrl()}/authorize`);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', process.env.TRADESTATION_CLIENT_ID || '');
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('audience', 'https://api.tradestation.com');
+  url.searchParams.set('scope', process.env.TRADESTATION_SCOPES || DEFAULT_SCOPES);
+  url.searchParams.set('state', state);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  return url.toString();
+}
+
+/**
+ * Encode the pending login (state, verifier, redirect URI) for the short-lived state cookie
+ */
+export function encodeLoginState(loginState) {
+  return base64Url(Buffer.from(JSON.stringify(loginState)));
+}
+
+/**
+ * Decode the state cookie; returns null when it is missing or malformed
+ */
+export function decodeLoginState(value) {
+  if (!value) {
+    return null;
+  }
+  try {
+    const json = Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+    const loginState = JSON.parse(json);
+    if (!loginState.state || !loginState.codeVerifier || !loginState.redirectUri) {
+      return null;
+    }
+    return loginState;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Compare two state values without leaking timing information
+ */
+export function stateMatches(expected, received) {
+  if (!expected || !received || expected.length !== received.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+}
+
+/**
+ * Exchange an authorization code for access and refresh tokens
+ * Returns the raw token response (access_token, refresh_token, expires_in, ...)
+ */
+export async function exchangeAuthorizationCode({ code, codeVerifier, redirectUri }) {
+  const response = await axios.post(
+    `${getAuthBaseUrl()}/oauth/token`,
+    {
+      grant_type: 'authorization_code',
+      client_id: process.env.TRADESTATION_CLIENT_ID,
+      client_secret: process.env.TRADESTATION_CLIENT_SECRET,
+      code: code,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier
+    },
+    {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      timeout: 30000
+    }
+  );
+  return response.data;
+}
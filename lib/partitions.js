@@ -0,0 +1,104 @@
+/**
+ * Native Postgres range partitions for the snapshot history tables
+ *
+ * Partitions are named after the start of their range (options_snapshots_p20251017,
+ * options_snapshots_hourly_p202510, options_snapshots_eod_p2025), so the range of an
+ * existing partition is read back from its name. All bounds are UTC.
+ */
+
+export const PARTITIONED_TABLES = {
+  // Every collected snapshot, one partition per day
+  options_snapshots: { column: 'captured_at', interval: 'day', type: 'timestamptz' },
+  // Last snapshot per contract and hour, one partition per month
+  options_snapshots_hourly: { column: 'bucket', interval: 'month', type: 'timestamptz' },
+  // Last snapshot per contract and trading date, one partition per year
+  options_snapshots_eod: { column: 'trade_date', interval: 'year', type: 'date' }
+};
+
+const NAME_FORMATS = {
+  day: { length: 8, parse: (text) => Date.UTC(+text.slice(0, 4), +text.slice(4, 6) - 1, +text.slice(6, 8)) },
+  month: { length: 6, parse: (text) => Date.UTC(+text.slice(0, 4), +text.slice(4, 6) - 1, 1) },
+  year: { length: 4, parse: (text) => Date.UTC(+text.slice(0, 4), 0, 1) }
+};
+
+function tableConfig(table) {
+  const config = PARTITIONED_TABLES[table];
+  if (!config) {
+    throw new Error(`${table} is not a partitioned table`);
+  }
+  return config;
+}
+
+/**
+ * Start of the partition containing a point in time
+ */
+export function partitionStart(date, interval) {
+  const value = new Date(date);
+  switch (interval) {
+    case 'day':
+      return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+    case 'month':
+      return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), 1));
+    default:
+      return new Date(Date.UTC(value.getUTCFullYear(), 0, 1));
+  }
+}
+
+/**
+ * Start of the partition following the one starting at `start`
+ */
+export function nextPartitionStart(start, interval) {
+  switch (interval) {
+    case 'day':
+      return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate() + 1));
+    case 'month':
+      return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+    default:
+      return new Date(Date.UTC(start.getUTCFullYear() + 1, 0, 1));
+  }
+}
+
+/**
+ * Partition name for the range starting at `start`
+ */
+export function partitionName(table, start) {
+  const { interval } = tableConfig(table);
+  const digits = start.toISOString().slice(0, 10).replace(/-/g, '');
+  return `${table}_p${digits.slice(0, NAME_FORMATS[interval].length)}`;
+}
+
+/**
+ * Range of an existing partition from its name, or null when the name is not one of ours
+ */
+export function parsePartitionName(table, name) {
+  const { interval } = tableConfig(table);
+  const format = NAME_FORMATS[interval];
+  const match = name.match(new RegExp(`^${table}_p(\\d{${format.length}})$`));
+  if (!match) {
+    return null;
+  }
+  const start = new Date(format.parse(match[1]));
+  return { name, start, end: nextPartitionStart(start, interval) };
+}
+
+/**
+ * Partitions covering every point between two times (inclusive)
+ */
+export function partitionRanges(table, from, to) {
+  const { interval } = tableConfig(table);
+  const ranges = [];
+  const last = new Date(to);
+  for (let start = partitionStart(from, interval); start <= last; start = nextPartitionStart(start, interval)) {
+    ranges.push({ name: partitionName(table, start), start, end: nextPartitionStart(start, interval) });
+  }
+  return ranges;
+}
+
+/**
+ * CREATE TABLE statement for one partition; a no-op when it already exists
+ */
+export function createPartitionSql(table, range) {
+  const { type } = tableConfig(table);
+  const bound = (date) => type === 'date' ? date.toISOString().slice(0, 10) : date.toISOString();
+  return `CREATE TABLE IF NOT EXISTS ${range.name} PARTITION OF ${table} FOR VALUES FROM ('${bound(range.start)}') TO ('${bound(range.end)}')`;
+}
@@ -0,0 +1,380 @@
+/**
+ * Option pricing: Black-Scholes-Merton and Black-76 prices, Greeks and implied volatility
+ *
+ * Index options (SPX, SPXW, VIX, ...) are European and priced with Black-76 on the
+ * forward implied by the spot, rate and dividend yield. Equity and ETF options are priced
+ * with Black-Scholes-Merton using a continuous dividend yield, which ignores early exercise.
+ */
+
+const MINUTES_PER_YEAR = 365 * 24 * 60;
+const MIN_TIME_TO_EXPIRY = 1 / MINUTES_PER_YEAR; // One minute, keeps 0DTE math finite
+const MIN_VOLATILITY = 0.0001;
+const MAX_VOLATILITY = 5;
+
+// Cash-settled European index roots
+const INDEX_SYMBOLS = ['SPX', 'SPXW', 'XSP', 'NDX', 'NDXP', 'RUT', 'RUTW', 'VIX', 'VIXW', 'DJX', 'OEX', 'XEO'];
+
+export const MODELS = {
+  BLACK_SCHOLES: 'black-scholes',
+  BLACK_76: 'black-76'
+};
+
+/**
+ * Standard normal probability density
+ */
+export function normPdf(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Standard normal cumulative distribution (Abramowitz-Stegun 7.1.26 via erf, |error| < 1.5e-7)
+ */
+export function normCdf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const z = Math.abs(x) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * z);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-z * z);
+  return 0.5 * (1 + sign * erf);
+}
+
+/**
+ * Whether an underlying symbol is a European-style index
+ */
+export function isIndexSymbol(symbol) {
+  if (!symbol) {
+    return false;
+  }
+  const root = symbol.replace(/^\$/, '').replace(/\.X$/, '').split(' ')[0].toUpperCase();
+  return INDEX_SYMBOLS.includes(root);
+}
+
+/**
+ * Pick the pricing model for an underlying symbol
+ */
+export function modelForSymbol(symbol) {
+  return isIndexSymbol(symbol) ? MODELS.BLACK_76 : MODELS.BLACK_SCHOLES;
+}
+
+const NEW_YORK_TIME = new Intl.DateTimeFormat('en-US', {
+  timeZone: 'America/New_York',
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+});
+
+/**
+ * Offset of New York wall-clock time from UTC at an instant, in milliseconds (-4h EDT, -5h EST)
+ */
+function newYorkOffset(instant) {
+  const parts = Object.fromEntries(NEW_YORK_TIME.formatToParts(instant).map(part => [part.type, part.value]));
+  const wallClock = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return wallClock - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+/**
+ * Moment an option stops trading: the 4pm ET close on its expiration date
+ * TradeStation expiration dates are midnight UTC of the expiration day, so the close is
+ * 20:00 UTC during EDT and 21:00 UTC during EST
+ */
+export function expiryInstant(expirationDate) {
+  const day = new Date(expirationDate);
+  const closeAsUtc = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), 16, 0, 0, 0);
+  // 4pm is never within a DST switch, so the offset at the UTC guess is the offset at the close
+  return new Date(closeAsUtc - newYorkOffset(new Date(closeAsUtc)));
+}
+
+/**
+ * Years until expiration (until the 4pm ET close of the expiration day, see expiryInstant)
+ */
+export function timeToExpiry(expirationDate, now = new Date()) {
+  const minutes = (expiryInstant(expirationDate).getTime() - now.getTime()) / 60000;
+  return Math.max(MIN_TIME_TO_EXPIRY, minutes / MINUTES_PER_YEAR);
+}
+
+/**
+ * Shared d1/d2 and discount factors for both models
+ * Black-76 is Black-Scholes-Merton on the forward, so both reduce to
+ * F = S * e^((r - q) T) discounted at e^(-r T)
+ */
+function terms({ spot, strike, time, rate, dividendYield, volatility }) {
+  const forward = spot * Math.exp((rate - dividendYield) * time);
+  const sqrtTime = Math.sqrt(time);
+  const d1 = (Math.log(forward / strike) + 0.5 * volatility * volatility * time) / (volatility * sqrtTime);
+  const d2 = d1 - volatility * sqrtTime;
+  return {
+    forward,
+    sqrtTime,
+    d1,
+    d2,
+    discount: Math.exp(-rate * time),
+    carry: Math.exp(-dividendYield * time)
+  };
+}
+
+/**
+ * Theoretical option price
+ *
+ * @param {Object} params
+ * @param {string} params.optionType - 'Call' or 'Put'
+ * @param {number} params.spot - Underlying price
+ * @param {number} params.strike - Strike price
+ * @param {number} params.time - Years to expiration
+ * @param {number} params.rate - Continuously compounded risk-free rate (e.g. 0.045)
+ * @param {number} params.dividendYield - Continuous dividend yield (e.g. 0.005)
+ * @param {number} params.volatility - Annualized volatility (e.g. 0.18)
+ */
+export function optionPrice({ optionType, spot, strike, time, rate = 0, dividendYield = 0, volatility }) {
+  const { forward, d1, d2, discount } = terms({ spot, strike, time, rate, dividendYield, volatility });
+  if (optionType === 'Call') {
+    return discount * (forward * normCdf(d1) - strike * normCdf(d2));
+  }
+  return discount * (strike * normCdf(-d2) - forward * normCdf(-d1));
+}
+
+/**
+ * Spot Greeks for one contract, for both models
+ * Black-76 on the forward S * e^((r - q) T) gives the same price as Black-Scholes-Merton,
+ * so sensitivities to the spot are the same too. Index and equity Greeks can be summed.
+ * theta is per calendar day, vega per 1 volatility point and rho per 1% rate move
+ *
+ * @param {Object} params - Same as optionPrice
+ */
+export function optionGreeks({ optionType, spot, strike, time, rate = 0, dividendYield = 0, volatility }) {
+  const { sqrtTime, d1, d2, discount, carry } = terms({ spot, strike, time, rate, dividendYield, volatility });
+  const isCall = optionType === 'Call';
+  const pdf = normPdf(d1);
+
+  const delta = isCall ? carry * normCdf(d1) : carry * (normCdf(d1) - 1);
+  const gamma = carry * pdf / (spot * volatility * sqrtTime);
+  const vega = spot * carry * pdf * sqrtTime;
+  const decay = -spot * carry * pdf * volatility / (2 * sqrtTime);
+  const theta = isCall
+    ? decay - rate * strike * discount * normCdf(d2) + dividendYield * spot * carry * normCdf(d1)
+    : decay + rate * strike * discount * normCdf(-d2) - dividendYield * spot * carry * normCdf(-d1);
+  const rho = isCall
+    ? strike * time * discount * normCdf(d2)
+    : -strike * time * discount * normCdf(-d2);
+
+  return {
+    delta,
+    gamma,
+    theta: theta / 365,
+    vega: vega / 100,
+    rho: rho / 100
+  };
+}
+
+/**
+ * Black-76 forward Greeks: delta and gamma with respect to the forward, theta and rho
+ * with the forward held fixed. Not comparable with spot Greeks; never mix the two
+ *
+ * @param {Object} params - Same as optionPrice
+ */
+export function forwardGreeks({ optionType, spot, strike, time, rate = 0, dividendYield = 0, volatility }) {
+  const { forward, sqrtTime, d1, discount } = terms({ spot, strike, time, rate, dividendYield, volatility });
+  const pdf = normPdf(d1);
+  const price = optionPrice({ optionType, spot, strike, time, rate, dividendYield, volatility });
+
+  const delta = discount * (optionType === 'Call' ? normCdf(d1) : normCdf(d1) - 1);
+  const gamma = discount * pdf / (forward * volatility * sqrtTime);
+  const vega = discount * forward * pdf * sqrtTime;
+  const theta = -discount * forward * pdf * volatility / (2 * sqrtTime) + rate * price;
+  const rho = -time * price;
+  return {
+    delta,
+    gamma,
+    theta: theta / 365,
+    vega: vega / 100,
+    rho: rho / 100
+  };
+}
+
+/**
+ * Implied volatility from an option price using Brent's method
+ * Returns null when the price is outside the no-arbitrage bounds or no root is found
+ *
+ * @param {Object} params - Same as optionPrice, with price instead of volatility
+ * @param {number} params.price - Observed option price (usually the mid)
+ */
+export function impliedVolatility({ price, optionType, spot, strike, time, rate = 0, dividendYield = 0 }, {
+  tolerance = 1e-6,
+  maxIterations = 100
+} = {}) {
+  if (!(price > 0) || !(spot > 0) || !(strike > 0) || !(time > 0)) {
+    return null;
+  }
+
+  const discount = Math.exp(-rate * time);
+  const forward = spot * Math.exp((rate - dividendYield) * time);
+  const intrinsic = optionType === 'Call'
+    ? Math.max(0, discount * (forward - strike))
+    : Math.max(0, discount * (strike - forward));
+  const upperBound = optionType === 'Call' ? discount * forward : discount * strike;
+
+  if (price < intrinsic || price >= upperBound) {
+    return null;
+  }
+
+  const objective = (volatility) =>
+    optionPrice({ optionType, spot, strike, time, rate, dividendYield, volatility }) - price;
+
+  let a = MIN_VOLATILITY;
+  let b = MAX_VOLATILITY;
+  let fa = objective(a);
+  let fb = objective(b);
+
+  if (fa * fb > 0) {
+    // Price is below the MIN_VOLATILITY value (essentially intrinsic) or above MAX_VOLATILITY
+    return null;
+  }
+
+  let c = a;
+  let fc = fa;
+  let d = b - a;
+  let e = d;
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    if (fb * fc > 0) {
+      c = a;
+      fc = fa;
+      d = b - a;
+      e = d;
+    }
+    if (Math.abs(fc) < Math.abs(fb)) {
+      a = b;
+      b = c;
+      c = a;
+      fa = fb;
+      fb = fc;
+      fc = fa;
+    }
+
+    const tol = 2 * Number.EPSILON * Math.abs(b) + 0.5 * tolerance;
+    const mid = 0.5 * (c - b);
+    if (Math.abs(mid) <= tol || fb === 0) {
+      return b;
+    }
+
+    if (Math.abs(e) >= tol && Math.abs(fa) > Math.abs(fb)) {
+      // Try inverse quadratic interpolation (or secant when only two points differ)
+      const s = fb / fa;
+      let p;
+      let q;
+      if (a === c) {
+        p = 2 * mid * s;
+        q = 1 - s;
+      } else {
+        const r1 = fa / fc;
+        const r2 = fb / fc;
+        p = s * (2 * mid * r1 * (r1 - r2) - (b - a) * (r2 - 1));
+        q = (r1 - 1) * (r2 - 1) * (s - 1);
+      }
+      if (p > 0) {
+        q = -q;
+      } else {
+        p = -p;
+      }
+      if (2 * p < Math.min(3 * mid * q - Math.abs(tol * q), Math.abs(e * q))) {
+        e = d;
+        d = p / q;
+      } else {
+        d = mid;
+        e = d;
+      }
+    } else {
+      // Fall back to bisection
+      d = mid;
+      e = d;
+    }
+
+    a = b;
+    fa = fb;
+    b += Math.abs(d) > tol ? d : (mid > 0 ? tol : -tol);
+    fb = objective(b);
+  }
+
+  return null;
+}
+
+/**
+ * Implied volatility for a stored options row, preferring the value collected from the stream
+ * and solving from the row's price otherwise
+ *
+ * @param {Object} row - options_data row
+ * @param {Object} inputs - Same as calculateOptionAnalytics
+ */
+export function resolveImpliedVolatility(row, inputs) {
+  const stored = parseFloat(row.implied_volatility);
+  if (Number.isFinite(stored) && stored > 0) {
+    return stored;
+  }
+  return calculateOptionAnalytics({ ...row, symbol: row.option_symbol || row.symbol }, inputs).implied_volatility;
+}
+
+/**
+ * Implied volatility and Greeks for a stored options row
+ * Returns null fields when the row has no usable price or no underlying price is known
+ *
+ * @param {Object} option - Row with mid (or bid/ask/last), strike, expiration_date, option_type and symbol
+ * @param {Object} inputs
+ * @param {number} inputs.underlyingPrice - Spot price, falls back to option.underlying_price
+ * @param {number} inputs.rate - Risk-free rate
+ * @param {number} inputs.dividendYield - Dividend yield for equity and ETF options
+ * @param {number} inputs.indexDividendYield - Dividend yield for index options (Black-76 forward)
+ * @param {Date} inputs.now - Valuation time
+ */
+export function calculateOptionAnalytics(option, { underlyingPrice = null, rate = 0, dividendYield = 0, indexDividendYield = 0, now = new Date() } = {}) {
+  const spot = parseFloat(underlyingPrice ?? option.underlying_price);
+  const strike = parseFloat(option.strike);
+  const bid = parseFloat(option.bid);
+  const ask = parseFloat(option.ask);
+  const mid = parseFloat(option.mid);
+  const price = Number.isFinite(mid) && mid > 0
+    ? mid
+    : (bid > 0 && ask > 0 ? (bid + ask) / 2 : parseFloat(option.last));
+
+  const model = modelForSymbol(option.symbol);
+  const time = timeToExpiry(option.expiration_date, now);
+  const empty = {
+    model,
+    time_to_expiry: time,
+    underlying_price: Number.isFinite(spot) ? spot : null,
+    implied_volatility: null,
+    delta: null,
+    gamma: null,
+    theta: null,
+    vega: null,
+    rho: null,
+    forward_greeks: null
+  };
+
+  if (!Number.isFinite(spot) || !Number.isFinite(strike) || !Number.isFinite(price) || price <= 0) {
+    return empty;
+  }
+
+  const params = {
+    optionType: option.option_type,
+    spot,
+    strike,
+    time,
+    rate,
+    dividendYield: model === MODELS.BLACK_76 ? indexDividendYield : dividendYield
+  };
+  const volatility = impliedVolatility({ ...params, price });
+  if (volatility === null) {
+    return empty;
+  }
+
+  return {
+    ...empty,
+    implied_volatility: volatility,
+    ...optionGreeks({ ...params, volatility }),
+    // Index options also report Black-76 forward Greeks, kept apart from the spot Greeks above
+    forward_greeks: model === MODELS.BLACK_76 ? forwardGreeks({ ...params, volatility }) : null
+  };
+}
@@ -0,0 +1,217 @@
+import { timeToExpiry } from './pricing.js';
+
+/**
+ * Quote quality validation for single-leg chain rows, run between collection and insert
+ *
+ * Every row gets quality_flags (the checks it failed) and quality:
+ * - 'invalid': the quote itself is unusable (negative price, crossed market, mid outside the bid/ask)
+ * - 'suspect': the quote is usable but looks wrong (locked market, stale, arbitrage violation)
+ * - 'ok': no checks failed
+ * Analytics queries skip invalid rows; suspect rows are kept but can be filtered on.
+ */
+
+export const QUOTE_QUALITY = {
+  OK: 'ok',
+  SUSPECT: 'suspect',
+  INVALID: 'invalid'
+};
+
+export const QUALITY_FLAGS = {
+  NEGATIVE_PRICE: 'negative_price',
+  CROSSED_MARKET: 'crossed_market',
+  MID_OUTSIDE_SPREAD: 'mid_outside_spread',
+  LOCKED_MARKET: 'locked_market',
+  STALE_QUOTE: 'stale_quote',
+  PARITY_VIOLATION: 'parity_violation',
+  MONOTONICITY_VIOLATION: 'monotonicity_violation'
+};
+
+const INVALID_FLAGS = [
+  QUALITY_FLAGS.NEGATIVE_PRICE,
+  QUALITY_FLAGS.CROSSED_MARKET,
+  QUALITY_FLAGS.MID_OUTSIDE_SPREAD
+];
+
+export const DEFAULT_QUALITY_THRESHOLDS = {
+  priceTolerance: 0.01, // Dollars of slack for rounding in price comparisons
+  staleUnderlyingPercent: 0.5, // Stream underlying price this far from the run's quote marks the row stale
+  maxRate: 0.1, // Upper bound on the interest rate for the put-call parity bounds
+  maxDividendYield: 0.1 // Upper bound on the dividend yield for the put-call parity bounds
+};
+
+const PRICE_FIELDS = ['ask', 'bid', 'mid', 'close', 'high', 'last', 'low', 'open', 'previous_close'];
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+/**
+ * Checks that only need the row's own quote
+ */
+function checkQuote(row, quote, limits) {
+  const flags = [];
+  const bid = toNumber(row.bid);
+  const ask = toNumber(row.ask);
+  const mid = toNumber(row.mid);
+
+  if (PRICE_FIELDS.some(field => toNumber(row[field]) < 0)) {
+    flags.push(QUALITY_FLAGS.NEGATIVE_PRICE);
+  }
+
+  // A zero ask is no offer at all, so only two-sided quotes can be crossed or locked
+  if (bid !== null && ask !== null && ask > 0) {
+    if (bid > ask) {
+      flags.push(QUALITY_FLAGS.CROSSED_MARKET);
+    } else {
+      if (bid === ask && bid > 0) {
+        flags.push(QUALITY_FLAGS.LOCKED_MARKET);
+      }
+      if (mid !== null && (mid < bid - limits.priceTolerance || mid > ask + limits.priceTolerance)) {
+        flags.push(QUALITY_FLAGS.MID_OUTSIDE_SPREAD);
+      }
+    }
+  }
+
+  // The stream prices each row off its own underlying price; one far from the
+  // run's underlying quote means the row was not refreshed with the market
+  const streamUnderlying = toNumber(row.underlying_price);
+  const quoteUnderlying = quote ? toNumber(quote.last ?? quote.mid) : null;
+  if (streamUnderlying !== null && quoteUnderlying > 0
+    && Math.abs(streamUnderlying - quoteUnderlying) / quoteUnderlying * 100 > limits.staleUnderlyingPercent) {
+    flags.push(QUALITY_FLAGS.STALE_QUOTE);
+  }
+
+  return flags;
+}
+
+/**
+ * Bid and ask of a row, or null when it has no two-sided market
+ */
+function market(row) {
+  const bid = toNumber(row.bid);
+  const ask = toNumber(row.ask);
+  return bid !== null && ask !== null && ask > 0 && bid <= ask ? { bid, ask } : null;
+}
+
+/**
+ * Put-call parity bounds per strike
+ * C - P must lie between S·e^(-qT) - K and S - K·e^(-rT) for any rate in [0, maxRate] and
+ * dividend yield in [0, maxDividendYield]. A violation means the synthetic forward
+ * (bought at C.ask - P.bid or sold at C.bid - P.ask) is outside those bounds.
+ */
+function checkParity(rows, spot, now, limits) {
+  const violations = new Set();
+  if (!(spot > 0)) {
+    return violations;
+  }
+
+  const byStrike = new Map();
+  rows.forEach(row => {
+    const strike = parseFloat(row.strike);
+    const entry = byStrike.get(strike) || {};
+    entry[row.option_type === 'Call' ? 'call' : 'put'] = row;
+    byStrike.set(strike, entry);
+  });
+
+  byStrike.forEach(({ call, put }, strike) => {
+    const callMarket = call ? market(call) : null;
+    const putMarket = put ? market(put) : null;
+    if (!callMarket || !putMarket) {
+      return;
+    }
+
+    const time = timeToExpiry(call.expiration_date, now);
+    const lower = spot * Math.exp(-limits.maxDividendYield * time) - strike;
+    const upper = spot - strike * Math.exp(-limits.maxRate * time);
+
+    const forwardBid = callMarket.bid - putMarket.ask;
+    const forwardAsk = callMarket.ask - putMarket.bid;
+    if (forwardBid > upper + limits.priceTolerance || forwardAsk < lower - limits.priceTolerance) {
+      violations.add(call);
+      violations.add(put);
+    }
+  });
+
+  return violations;
+}
+
+/**
+ * Calls must not get more expensive as the strike rises, nor puts as it falls:
+ * a higher strike's bid above a lower strike's ask (for calls) is an arbitrage
+ */
+function checkMonotonicity(rows) {
+  const violations = new Set();
+
+  ['Call', 'Put'].forEach(optionType => {
+    const sorted = rows
+      .filter(row => row.option_type === optionType && market(row))
+      .sort((a, b) => parseFloat(a.strike) - parseFloat(b.strike));
+
+    for (let i = 1; i < sorted.length; i++) {
+      const lower = sorted[i - 1];
+      const higher = sorted[i];
+      const [cheaper, dearer] = optionType === 'Call' ? [higher, lower] : [lower, higher];
+      if (market(cheaper).bid > market(dearer).ask) {
+        violations.add(lower);
+        violations.add(higher);
+      }
+    }
+  });
+
+  return violations;
+}
+
+/**
+ * Validate a chain's single-leg rows in place, setting quality and quality_flags on each
+ * Rows are compared within one option root and expiration, so SPX and SPXW are checked apart
+ *
+ * @param {Object[]} rows - Cleaned rows from SimpleOptionsCollector.cleanOptionsData
+ * @param {Object} options
+ * @param {Object} options.underlyingQuotes - Run quotes keyed by collector symbol (e.g. '$SPXW.X')
+ * @param {Object} options.thresholds - Overrides for DEFAULT_QUALITY_THRESHOLDS
+ * @param {Date} options.now - Valuation time for the parity bounds
+ * @returns {Object} Count of rows per quality level and per flag
+ */
+export function validateOptionQuotes(rows, { underlyingQuotes = {}, thresholds = {}, now = new Date() } = {}) {
+  const limits = { ...DEFAULT_QUALITY_THRESHOLDS, ...thresholds };
+  const quotesBySymbol = new Map(Object.values(underlyingQuotes).map(quote => [quote.symbol, quote]));
+
+  const flagsByRow = new Map();
+  const chains = new Map();
+  rows.forEach(row => {
+    const root = row.symbol ? row.symbol.split(' ')[0] : null;
+    const quote = quotesBySymbol.get(row.underlying_symbol) || null;
+    flagsByRow.set(row, checkQuote(row, quote, limits));
+
+    const key = `${root}|${row.expiration_date}`;
+    if (!chains.has(key)) {
+      chains.set(key, { rows: [], quote });
+    }
+    chains.get(key).rows.push(row);
+  });
+
+  chains.forEach(({ rows: chainRows, quote }) => {
+    const spot = quote ? toNumber(quote.last ?? quote.mid) : toNumber(chainRows[0].underlying_price);
+    checkParity(chainRows, spot, now, limits).forEach(row => flagsByRow.get(row).push(QUALITY_FLAGS.PARITY_VIOLATION));
+    checkMonotonicity(chainRows).forEach(row => flagsByRow.get(row).push(QUALITY_FLAGS.MONOTONICITY_VIOLATION));
+  });
+
+  const summary = { ok: 0, suspect: 0, invalid: 0, flags: {} };
+  flagsByRow.forEach((flags, row) => {
+    row.quality_flags = flags;
+    row.quality = flags.some(flag => INVALID_FLAGS.includes(flag))
+      ? QUOTE_QUALITY.INVALID
+      : flags.length > 0 ? QUOTE_QUALITY.SUSPECT : QUOTE_QUALITY.OK;
+
+    summary[row.quality]++;
+    flags.forEach(flag => {
+      summary.flags[flag] = (summary.flags[flag] || 0) + 1;
+    });
+  });
+
+  return summary;
+}
@@ -0,0 +1,168 @@
+/**
+ * Bounded-concurrency request scheduler with a token-bucket rate limiter
+ * Keeps TradeStation calls under the per-minute quota and backs off on 429 responses
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Token bucket refilled continuously at requestsPerMinute
+ */
+export class TokenBucket {
+  constructor({ capacity, requestsPerMinute }) {
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.refillPerMs = requestsPerMinute / 60000;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Stop handing out tokens until the given time (used for Retry-After)
+   */
+  pauseUntil(timestamp) {
+    this.pausedUntil = Math.max(this.pausedUntil, timestamp);
+  }
+
+  /**
+   * Wait until a token is available and take it
+   */
+  async take() {
+    for (;;) {
+      const now = Date.now();
+      if (now < this.pausedUntil) {
+        await sleep(this.pausedUntil - now);
+        continue;
+      }
+
+      this.refill();
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+
+      await sleep(Math.ceil((1 - this.tokens) / this.refillPerMs));
+    }
+  }
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ * Returns null when the header is missing or unreadable
+ */
+export function parseRetryAfter(header) {
+  if (header === undefined || header === null || header === '') {
+    return null;
+  }
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+function isRateLimited(error) {
+  return error?.response?.status === 429;
+}
+
+/**
+ * Runs tasks with at most `concurrency` in flight, each one taking a rate-limit token first
+ * Tasks that fail with 429 are retried after Retry-After (or an exponential fallback),
+ * and the whole bucket pauses so other tasks do not hit the limit as well
+ */
+export class RequestScheduler {
+  constructor({
+    concurrency = 4,
+    requestsPerMinute = 90,
+    burst = null,
+    maxRateLimitRetries = 3,
+    rateLimitBackoff = 2000
+  } = {}) {
+    this.concurrency = concurrency;
+    this.requestsPerMinute = requestsPerMinute;
+    this.maxRateLimitRetries = maxRateLimitRetries;
+    this.rateLimitBackoff = rateLimitBackoff;
+    this.bucket = new TokenBucket({
+      capacity: burst || concurrency,
+      requestsPerMinute
+    });
+    this.queue = [];
+    this.active = 0;
+    this.stats = {
+      requests: 0,
+      rateLimited: 0,
+      rateLimitWaitMs: 0
+    };
+  }
+
+  /**
+   * Queue a task; resolves or rejects with the task's result
+   *
+   * @param {Function} task - Async function performing one request
+   */
+  schedule(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject, rateLimitRetries: 0 });
+      this.drain();
+    });
+  }
+
+  drain() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.active++;
+      this.run(job).finally(() => {
+        this.active--;
+        this.drain();
+      });
+    }
+  }
+
+  async run(job) {
+    for (;;) {
+      await this.bucket.take();
+      this.stats.requests++;
+
+      try {
+        job.resolve(await job.task());
+        return;
+      } catch (error) {
+        if (isRateLimited(error) && job.rateLimitRetries < this.maxRateLimitRetries) {
+          job.rateLimitRetries++;
+          const retryAfter = parseRetryAfter(error.response.headers?.['retry-after']);
+          const delay = retryAfter ?? this.rateLimitBackoff * Math.pow(2, job.rateLimitRetries - 1);
+
+          console.warn(`⏳ Rate limited by TradeStation, retrying in ${delay}ms (${job.rateLimitRetries}/${this.maxRateLimitRetries})`);
+          this.stats.rateLimited++;
+          this.stats.rateLimitWaitMs += delay;
+          this.bucket.pauseUntil(Date.now() + delay);
+          continue;
+        }
+
+        job.reject(error);
+        return;
+      }
+    }
+  }
+
+  getStats() {
+    return {
+      concurrency: this.concurrency,
+      requestsPerMinute: this.requestsPerMinute,
+      ...this.stats
+    };
+  }
+}
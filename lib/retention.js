@@ -0,0 +1,160 @@
+import fs from 'fs';
+import path from 'path';
+import { OptionsDatabase } from './database.js';
+
+/**
+ * Declarative retention for collected options data
+ *
+ * - current: options_data holds the latest quote per contract; rows older than keepHours
+ *   are deleted as before
+ * - tiers: snapshot history at decreasing resolution, each kept for keepDays (null = forever)
+ *   Raw snapshots are downsampled into the hourly and end-of-day tiers before anything
+ *   expires, and expired history is removed by dropping whole partitions (lib/partitions.js)
+ *
+ * The policy is read from the "retention" block of options-config.json.
+ */
+
+export const DEFAULT_RETENTION_POLICY = {
+  current: { keepHours: 0.5 },
+  tiers: [
+    { name: 'raw', resolution: 'snapshot', keepDays: 2 },
+    { name: 'hourly', resolution: 'hour', keepDays: 90 },
+    { name: 'eod', resolution: 'day', keepDays: null }
+  ]
+};
+
+// Partitioned table holding each tier's resolution
+export const TIER_TABLES = {
+  snapshot: 'options_snapshots',
+  hour: 'options_snapshots_hourly',
+  day: 'options_snapshots_eod'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days of upcoming raw partitions created ahead of the collector
+const PARTITION_LEAD_DAYS = 3;
+
+/**
+ * Validate a retention policy
+ * Returns a list of problems; empty when the policy is usable
+ */
+export function validateRetentionPolicy(policy) {
+  const errors = [];
+  if (!policy || typeof policy !== 'object') {
+    return ['retention policy must be an object'];
+  }
+
+  const keepHours = policy.current ? policy.current.keepHours : undefined;
+  if (typeof keepHours !== 'number' || !(keepHours > 0)) {
+    errors.push('retention current.keepHours must be a positive number');
+  }
+
+  if (!Array.isArray(policy.tiers)) {
+    errors.push('retention tiers must be an array');
+    return errors;
+  }
+
+  const seen = new Set();
+  policy.tiers.forEach((tier, index) => {
+    const name = tier && tier.name ? tier.name : `#${index + 1}`;
+    if (!tier || !TIER_TABLES[tier.resolution]) {
+      errors.push(`retention tier ${name} resolution must be one of: ${Object.keys(TIER_TABLES).join(', ')}`);
+      return;
+    }
+    if (seen.has(tier.resolution)) {
+      errors.push(`retention tier ${name} repeats resolution ${tier.resolution}`);
+    }
+    seen.add(tier.resolution);
+    if (tier.keepDays !== null && !(typeof tier.keepDays === 'number' && tier.keepDays > 0)) {
+      errors.push(`retention tier ${name} keepDays must be a positive number or null (keep forever)`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Load the retention policy from options-config.json, falling back to the default
+ * when the file has no retention block
+ */
+export function loadRetentionPolicy(configPath = path.join(process.cwd(), 'options-config.json')) {
+  let policy = DEFAULT_RETENTION_POLICY;
+
+  if (fs.existsSync(configPath)) {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    if (config.retention) {
+      policy = {
+        current: { ...DEFAULT_RETENTION_POLICY.current, ...config.retention.current },
+        tiers: config.retention.tiers || DEFAULT_RETENTION_POLICY.tiers
+      };
+    }
+  }
+
+  const errors = validateRetentionPolicy(policy);
+  if (errors.length > 0) {
+    throw new Error(`Invalid retention policy: ${errors.join('; ')}`);
+  }
+  return policy;
+}
+
+/**
+ * Apply a retention policy
+ *
+ * @param {Object} options
+ * @param {string[]} options.symbols - Symbols for the current-data cleanup, or null for all
+ *   (history tiers are partitioned by time, so they are always cleaned for every symbol)
+ * @param {number} options.keepHours - Override for the policy's current.keepHours
+ * @param {boolean} options.dryRun - Report what would be removed without changing anything
+ * @param {Object} options.policy - Policy to apply (default: loadRetentionPolicy())
+ * @returns {Object} The current-data cleanup result plus a retention block per tier
+ */
+export async function applyRetentionPolicy({ symbols = null, keepHours = null, dryRun = false, policy = null } = {}) {
+  const activePolicy = policy || loadRetentionPolicy();
+  const currentKeepHours = keepHours ?? activePolicy.current.keepHours;
+
+  const result = symbols && symbols.length > 0
+    ? await OptionsDatabase.cleanupOldOptionsData(symbols, currentKeepHours, dryRun)
+    : await OptionsDatabase.cleanupAllOldOptionsData(currentKeepHours, dryRun);
+
+  // Downsample first, so raw snapshots reach the coarser tiers before their partitions go
+  const downsampled = {};
+  if (!dryRun) {
+    for (const tier of activePolicy.tiers.filter(tier => tier.resolution !== 'snapshot')) {
+      downsampled[tier.resolution] = (await OptionsDatabase.downsampleSnapshots(tier.resolution)).rowCount;
+    }
+  }
+
+  const now = Date.now();
+  const tiers = [];
+  for (const tier of activePolicy.tiers) {
+    const table = TIER_TABLES[tier.resolution];
+    const cutoff = tier.keepDays === null ? null : new Date(now - tier.keepDays * DAY_MS);
+    const dropped = cutoff ? await OptionsDatabase.dropExpiredPartitions(table, cutoff, dryRun) : [];
+
+    tiers.push({
+      name: tier.name,
+      resolution: tier.resolution,
+      table,
+      keepDays: tier.keepDays,
+      cutoffTime: cutoff,
+      downsampledRows: downsampled[tier.resolution] ?? null,
+      partitionsDropped: dropped.map(partition => partition.name),
+      estimatedRowsDropped: dropped.reduce((sum, partition) => sum + (partition.estimatedRows || 0), 0),
+      action: dropped.length === 0 ? 'no_action' : dryRun ? 'would_drop' : 'dropped'
+    });
+  }
+
+  // Make sure the collector never writes into a day without a partition
+  if (!dryRun) {
+    await OptionsDatabase.ensurePartitions(TIER_TABLES.snapshot, new Date(now), new Date(now + PARTITION_LEAD_DAYS * DAY_MS));
+  }
+
+  return {
+    ...result,
+    retention: {
+      current: { keepHours: currentKeepHours },
+      tiers
+    }
+  };
+}
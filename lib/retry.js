@@ -0,0 +1,124 @@
+/**
+ * Retry policy for TradeStation calls (expirations and chain streams)
+ * Exponential backoff with full jitter; retryable and fatal errors are told apart
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelay: 500, // Delay before the first retry in milliseconds
+  maxDelay: 8000 // Upper bound for a single backoff
+};
+
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ERR_NETWORK'];
+
+/**
+ * Classify an error as 'retryable', 'auth' (401, worth one token refresh) or 'fatal'
+ * 429s are left to the RequestScheduler (lib/rateLimiter.js), so they are fatal here
+ */
+export function classifyError(error) {
+  const status = error?.response?.status;
+
+  if (status === 401) {
+    return 'auth';
+  }
+  if (status === 429) {
+    // RequestScheduler already retried it after Retry-After; retrying here too would multiply the attempts
+    return 'fatal';
+  }
+  if (status >= 500 && status < 600) {
+    return 'retryable';
+  }
+  if (status >= 400 && status < 500) {
+    return 'fatal';
+  }
+  if (error?.name === 'StreamError') {
+    // Error frames from the stream describe the request (bad symbol, no entitlement) and will not change on retry
+    return 'fatal';
+  }
+  if (RETRYABLE_CODES.includes(error?.code) || /timeout/i.test(error?.message || '')) {
+    return 'retryable';
+  }
+  return 'fatal';
+}
+
+/**
+ * Backoff for the given retry number (1-based) with full jitter
+ */
+export function backoffDelay(retry, { baseDelay, maxDelay }) {
+  const ceiling = Math.min(maxDelay, baseDelay * Math.pow(2, retry - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Run an operation under the retry policy
+ *
+ * Resolves with { result, attempts } on success. On failure the error is rethrown
+ * with `attempts` attached so callers can report every try.
+ *
+ * @param {Function} operation - Async function to run, called with the attempt number
+ * @param {Object} options
+ * @param {number} options.maxAttempts - Total attempts including the first
+ * @param {number} options.baseDelay - Delay before the first retry in milliseconds
+ * @param {number} options.maxDelay - Upper bound for a single backoff
+ * @param {Function} options.onAuthError - Called once on the first 401; resolve true to retry with a refreshed token
+ */
+export async function withRetry(operation, {
+  maxAttempts = DEFAULT_RETRY_POLICY.maxAttempts,
+  baseDelay = DEFAULT_RETRY_POLICY.baseDelay,
+  maxDelay = DEFAULT_RETRY_POLICY.maxDelay,
+  onAuthError = null
+} = {}) {
+  const attempts = [];
+  let authRefreshed = false;
+
+  for (let attempt = 1; ; attempt++) {
+    const startTime = Date.now();
+
+    try {
+      const result = await operation(attempt);
+      attempts.push({
+        attempt,
+        outcome: 'success',
+        duration_ms: Date.now() - startTime
+      });
+      return { result, attempts };
+    } catch (error) {
+      let classification = classifyError(error);
+
+      // A 401 gets one token refresh; a second 401 means the refresh did not help
+      if (classification === 'auth') {
+        classification = 'fatal';
+        if (!authRefreshed && onAuthError) {
+          authRefreshed = true;
+          if (await onAuthError(error)) {
+            classification = 'retryable';
+          }
+        }
+      }
+
+      const canRetry = classification === 'retryable' && attempt < maxAttempts;
+      const delay = canRetry ? backoffDelay(attempt, { baseDelay, maxDelay }) : 0;
+
+      attempts.push({
+        attempt,
+        outcome: canRetry ? 'retrying' : 'failed',
+        classification,
+        status: error?.response?.status || null,
+        code: error?.code || null,
+        error: error.message,
+        duration_ms: Date.now() - startTime,
+        retry_delay_ms: canRetry ? delay : null
+      });
+
+      if (!canRetry) {
+        error.attempts = attempts;
+        error.classification = classification;
+        throw error;
+      }
+
+      await sleep(delay);
+    }
+  }
+}
@@ -0,0 +1,348 @@
+import {
+  MODELS,
+  modelForSymbol,
+  optionGreeks,
+  optionPrice,
+  resolveImpliedVolatility,
+  timeToExpiry,
+  expiryInstant
+} from './pricing.js';
+import { CONTRACT_MULTIPLIER, rowMid } from './analytics.js';
+
+/**
+ * Multi-leg strategy pricing and payoff (verticals, iron condors, butterflies, calendars)
+ * Legs are priced from stored quotes; values at later dates use each leg's implied volatility
+ */
+
+export const PRICING_MODES = ['mid', 'bidask'];
+export const LEG_SIDES = ['buy', 'sell'];
+
+export const DEFAULT_STRATEGY_OPTIONS = {
+  pricing: 'mid', // mid, or bidask (buy at the ask, sell at the bid)
+  underlyingPrice: null, // null = latest stored underlying price of the legs
+  rate: 0,
+  dividendYield: 0,
+  indexDividendYield: 0,
+  spotRange: 0.2, // Payoff curve covers spot ± this fraction
+  points: 101, // Payoff curve points
+  evaluationDate: null // Date for the second payoff curve, null = now
+};
+
+const MAX_LEGS = 8;
+
+/**
+ * Validate a strategy request and merge it over the defaults
+ * Returns { strategy, errors } - errors is empty when every parameter is valid
+ * A leg is identified by optionSymbol, or by symbol, expiration, strike and optionType
+ *
+ * @param {Object} input - Raw request body
+ */
+export function validateStrategyRequest(input = {}) {
+  const strategy = { ...DEFAULT_STRATEGY_OPTIONS, legs: [] };
+  const errors = [];
+
+  if (!Array.isArray(input.legs) || input.legs.length === 0) {
+    errors.push('legs must be a non-empty array');
+  } else if (input.legs.length > MAX_LEGS) {
+    errors.push(`At most ${MAX_LEGS} legs are supported`);
+  } else {
+    input.legs.forEach((leg, index) => {
+      const label = `legs[${index}]`;
+      const quantity = leg.quantity === undefined ? 1 : Number(leg.quantity);
+      const side = (leg.side || '').toLowerCase();
+
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        errors.push(`${label}.quantity must be a positive integer`);
+      }
+      if (!LEG_SIDES.includes(side)) {
+        errors.push(`${label}.side must be one of: ${LEG_SIDES.join(', ')}`);
+      }
+
+      if (leg.optionSymbol) {
+        strategy.legs.push({ optionSymbol: leg.optionSymbol, quantity, side });
+        return;
+      }
+
+      const strike = Number(leg.strike);
+      if (!leg.symbol) {
+        errors.push(`${label} needs optionSymbol or symbol, expiration, strike and optionType`);
+        return;
+      }
+      if (!leg.expiration || Number.isNaN(new Date(leg.expiration).getTime())) {
+        errors.push(`${label}.expiration must be a date (e.g. 2025-09-19)`);
+      }
+      if (!Number.isFinite(strike) || strike <= 0) {
+        errors.push(`${label}.strike must be a positive number`);
+      }
+      if (!['Call', 'Put'].includes(leg.optionType)) {
+        errors.push(`${label}.optionType must be Call or Put`);
+      }
+      strategy.legs.push({
+        symbol: leg.symbol.replace(/^\$/, '').replace(/\.X$/, ''),
+        expiration: leg.expiration,
+        strike,
+        optionType: leg.optionType,
+        quantity,
+        side
+      });
+    });
+  }
+
+  if (input.pricing !== undefined && input.pricing !== null) {
+    if (!PRICING_MODES.includes(input.pricing)) {
+      errors.push(`pricing must be one of: ${PRICING_MODES.join(', ')}`);
+    } else {
+      strategy.pricing = input.pricing;
+    }
+  }
+
+  if (input.underlyingPrice !== undefined && input.underlyingPrice !== null) {
+    const value = Number(input.underlyingPrice);
+    if (!Number.isFinite(value) || value <= 0) {
+      errors.push('underlyingPrice must be a positive number');
+    } else {
+      strategy.underlyingPrice = value;
+    }
+  }
+
+  ['rate', 'dividendYield', 'indexDividendYield'].forEach(key => {
+    if (input[key] !== undefined && input[key] !== null) {
+      const value = Number(input[key]);
+      if (!Number.isFinite(value) || value < -0.1 || value > 1) {
+        errors.push(`${key} must be a decimal between -0.1 and 1 (e.g. 0.045)`);
+      } else {
+        strategy[key] = value;
+      }
+    }
+  });
+
+  if (input.spotRange !== undefined && input.spotRange !== null) {
+    const value = Number(input.spotRange);
+    if (!Number.isFinite(value) || value <= 0 || value >= 1) {
+      errors.push('spotRange must be a fraction between 0 and 1 (e.g. 0.2)');
+    } else {
+      strategy.spotRange = value;
+    }
+  }
+
+  if (input.points !== undefined && input.points !== null) {
+    const value = Number(input.points);
+    if (!Number.isInteger(value) || value < 3 || value > 1001) {
+      errors.push('points must be an integer between 3 and 1001');
+    } else {
+      strategy.points = value;
+    }
+  }
+
+  if (input.evaluationDate !== undefined && input.evaluationDate !== null) {
+    if (Number.isNaN(new Date(input.evaluationDate).getTime())) {
+      errors.push('evaluationDate must be a date or timestamp');
+    } else {
+      strategy.evaluationDate = input.evaluationDate;
+    }
+  }
+
+  return { strategy, errors };
+}
+
+/**
+ * Value of one contract of a leg at a spot and date: intrinsic once expired, model value before
+ */
+function legValue(leg, spot, date) {
+  if (expiryInstant(leg.expirationDate) <= date) {
+    return leg.optionType === 'Call' ? Math.max(0, spot - leg.strike) : Math.max(0, leg.strike - spot);
+  }
+  return optionPrice({
+    optionType: leg.optionType,
+    spot,
+    strike: leg.strike,
+    time: timeToExpiry(leg.expirationDate, date),
+    rate: leg.rate,
+    dividendYield: leg.dividendYield,
+    volatility: leg.volatility
+  });
+}
+
+/**
+ * Position P&L at a spot and date: current value of all legs minus the premium paid
+ */
+function positionPnl(legs, netPremium, spot, date) {
+  const value = legs.reduce((total, leg) =>
+    total + leg.direction * leg.quantity * CONTRACT_MULTIPLIER * legValue(leg, spot, date), 0);
+  return value - netPremium;
+}
+
+/**
+ * Spot levels where the P&L crosses zero, by linear interpolation between evaluated points
+ * Exact at expiry when every strike is among the points, since the payoff is piecewise linear
+ */
+function findBreakevens(points) {
+  const breakevens = [];
+  for (let index = 0; index < points.length - 1; index++) {
+    const left = points[index];
+    const right = points[index + 1];
+    if (left.pnl === 0) {
+      breakevens.push(left.spot);
+    } else if (right.pnl !== 0 && Math.sign(left.pnl) !== Math.sign(right.pnl)) {
+      breakevens.push(left.spot + (right.spot - left.spot) * (-left.pnl) / (right.pnl - left.pnl));
+    }
+  }
+  const last = points[points.length - 1];
+  if (last.pnl === 0) {
+    breakevens.push(last.spot);
+  }
+  return breakevens;
+}
+
+/**
+ * Price a strategy and build its payoff at the first expiration and at the evaluation date
+ *
+ * @param {Object[]} legs - Validated legs, each with its stored `contract` row
+ * @param {Object} options - Validated strategy options (pricing, underlyingPrice, rate, ...)
+ * @param {Date} now - Valuation time for current prices and Greeks
+ */
+export function analyzeStrategy(legs, options, now = new Date()) {
+  const spot = options.underlyingPrice;
+  const inputs = {
+    underlyingPrice: spot,
+    rate: options.rate,
+    dividendYield: options.dividendYield,
+    indexDividendYield: options.indexDividendYield,
+    now
+  };
+  const errors = [];
+
+  const pricedLegs = legs.map((leg, index) => {
+    const { contract } = leg;
+    const direction = leg.side === 'buy' ? 1 : -1;
+    const model = modelForSymbol(contract.option_symbol || contract.symbol);
+    const bid = parseFloat(contract.bid);
+    const ask = parseFloat(contract.ask);
+    const price = options.pricing === 'bidask'
+      ? (direction > 0 ? ask : bid)
+      : rowMid(contract);
+
+    if (!Number.isFinite(price) || price < 0) {
+      errors.push(`legs[${index}] (${contract.option_symbol}) has no ${options.pricing === 'bidask' ? (direction > 0 ? 'ask' : 'bid') : 'mid'} price`);
+    }
+
+    const volatility = resolveImpliedVolatility(contract, inputs);
+    if (volatility === null) {
+      errors.push(`legs[${index}] (${contract.option_symbol}) has no implied volatility; its price is outside no-arbitrage bounds`);
+    }
+
+    return {
+      optionSymbol: contract.option_symbol,
+      optionType: contract.option_type,
+      strike: parseFloat(contract.strike),
+      expirationDate: new Date(contract.expiration_date).toISOString().slice(0, 10),
+      side: leg.side,
+      direction,
+      quantity: leg.quantity,
+      price,
+      volatility,
+      model,
+      rate: options.rate,
+      dividendYield: model === MODELS.BLACK_76 ? options.indexDividendYield : options.dividendYield,
+      quoteTimestamp: contract.timestamp
+    };
+  });
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  // Positive = debit paid, negative = credit received
+  const netPremium = pricedLegs.reduce((total, leg) =>
+    total + leg.direction * leg.quantity * leg.price * CONTRACT_MULTIPLIER, 0);
+
+  const greeks = { delta: 0, gamma: 0, theta: 0, vega: 0, rho: 0 };
+  const legResults = pricedLegs.map(leg => {
+    const legGreeks = optionGreeks({
+      optionType: leg.optionType,
+      spot,
+      strike: leg.strike,
+      time: timeToExpiry(leg.expirationDate, now),
+      rate: leg.rate,
+      dividendYield: leg.dividendYield,
+      volatility: leg.volatility
+    });
+    const scale = leg.direction * leg.quantity * CONTRACT_MULTIPLIER;
+    Object.keys(greeks).forEach(key => {
+      greeks[key] += legGreeks[key] * scale;
+    });
+    return {
+      option_symbol: leg.optionSymbol,
+      option_type: leg.optionType,
+      strike: leg.strike,
+      expiration_date: leg.expirationDate,
+      side: leg.side,
+      quantity: leg.quantity,
+      price: leg.price,
+      premium: leg.direction * leg.quantity * leg.price * CONTRACT_MULTIPLIER,
+      implied_volatility: leg.volatility,
+      model: leg.model,
+      quote_timestamp: leg.quoteTimestamp,
+      greeks: legGreeks
+    };
+  });
+
+  const firstExpiry = pricedLegs.reduce((first, leg) =>
+    expiryInstant(leg.expirationDate) < first ? expiryInstant(leg.expirationDate) : first, expiryInstant(pricedLegs[0].expirationDate));
+  const evaluationDate = options.evaluationDate ? new Date(options.evaluationDate) : now;
+  const strikes = [...new Set(pricedLegs.map(leg => leg.strike))];
+
+  // Payoff curve over spot ± spotRange
+  const low = spot * (1 - options.spotRange);
+  const high = spot * (1 + options.spotRange);
+  const steps = options.points - 1;
+  const payoff = [];
+  for (let index = 0; index <= steps; index++) {
+    const curveSpot = low + (high - low) * index / steps;
+    payoff.push({
+      spot: curveSpot,
+      expiry_pnl: positionPnl(pricedLegs, netPremium, curveSpot, firstExpiry),
+      evaluation_pnl: positionPnl(pricedLegs, netPremium, curveSpot, evaluationDate)
+    });
+  }
+
+  // Max profit/loss and breakevens at the first expiration use every strike, zero and the
+  // curve so the piecewise-linear payoff is captured exactly; the slope far above the highest
+  // strike tells whether profit or loss is unlimited
+  const top = Math.max(high, ...strikes) * 2;
+  const expiryPoints = [...new Set([0, ...strikes, ...payoff.map(point => point.spot), top])]
+    .sort((a, b) => a - b)
+    .map(pointSpot => ({ spot: pointSpot, pnl: positionPnl(pricedLegs, netPremium, pointSpot, firstExpiry) }));
+  const upperSlope = (positionPnl(pricedLegs, netPremium, top * 1.5, firstExpiry) - expiryPoints[expiryPoints.length - 1].pnl) / (top * 0.5);
+  const slopeTolerance = 1e-6 * CONTRACT_MULTIPLIER;
+
+  const pnls = expiryPoints.map(point => point.pnl);
+  const maxProfitUnlimited = upperSlope > slopeTolerance;
+  const maxLossUnlimited = upperSlope < -slopeTolerance;
+
+  const breakevens = findBreakevens(expiryPoints);
+  const lastPoint = expiryPoints[expiryPoints.length - 1];
+  if (Math.abs(upperSlope) > slopeTolerance && lastPoint.pnl !== 0 && Math.sign(lastPoint.pnl) !== Math.sign(upperSlope)) {
+    breakevens.push(lastPoint.spot - lastPoint.pnl / upperSlope);
+  }
+
+  return {
+    errors: [],
+    summary: {
+      legs: legResults.length,
+      underlying_price: spot,
+      net_premium: netPremium,
+      premium_type: netPremium >= 0 ? 'debit' : 'credit',
+      first_expiration: firstExpiry.toISOString().slice(0, 10),
+      evaluation_date: evaluationDate.toISOString(),
+      max_profit: maxProfitUnlimited ? null : Math.max(...pnls),
+      max_profit_unlimited: maxProfitUnlimited,
+      max_loss: maxLossUnlimited ? null : Math.min(...pnls),
+      max_loss_unlimited: maxLossUnlimited,
+      breakevens: breakevens.filter(value => value > 0),
+      greeks
+    },
+    legs: legResults,
+    payoff
+  };
+}
@@ -0,0 +1,115 @@
+import fs from 'fs';
+import path from 'path';
+import { OptionsDatabase } from './database.js';
+
+/**
+ * Token stores persist TradeStation OAuth state across cold starts
+ * Every store exposes load() -> { accessToken, refreshToken, tokenExpiry, seedTokenHash, revoked } | null
+ * and save(state)
+ * tokenExpiry is a millisecond timestamp, matching TokenManager; seedTokenHash is the sha256 of
+ * the TRADESTATION_REFRESH_TOKEN the stored tokens descend from
+ */
+
+/**
+ * No persistence - tokens live only as long as the process
+ */
+export class MemoryTokenStore {
+  constructor() {
+    this.state = null;
+  }
+
+  async load() {
+    return this.state;
+  }
+
+  async save(state) {
+    this.state = { ...state };
+  }
+}
+
+/**
+ * JSON file on local disk (long-running servers and local development)
+ */
+export class FileTokenStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  async load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return null;
+      }
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return {
+        accessToken: data.accessToken || null,
+        refreshToken: data.refreshToken || null,
+        tokenExpiry: data.tokenExpiry || 0,
+        seedTokenHash: data.seedTokenHash || null,
+        revoked: !!data.revoked
+      };
+    } catch (error) {
+      console.warn(`⚠️  Failed to read token store ${this.filePath}:`, error.message);
+      return null;
+    }
+  }
+
+  async save(state) {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    // Write to a temp file first so a crash never leaves a half-written token file
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({
+      ...state,
+      updatedAt: new Date().toISOString()
+    }, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+/**
+ * oauth_tokens table in the options database (serverless deployments)
+ */
+export class PostgresTokenStore {
+  constructor(provider = 'tradestation') {
+    this.provider = provider;
+  }
+
+  async load() {
+    const row = await OptionsDatabase.loadTokenState(this.provider);
+    if (!row) {
+      return null;
+    }
+    return {
+      accessToken: row.access_token,
+      refreshToken: row.refresh_token,
+      tokenExpiry: row.token_expiry ? new Date(row.token_expiry).getTime() : 0,
+      seedTokenHash: row.seed_token_hash,
+      revoked: !!row.revoked
+    };
+  }
+
+  async save(state) {
+    await OptionsDatabase.saveTokenState(this.provider, state);
+  }
+}
+
+/**
+ * Create the token store selected by TOKEN_STORE (memory, file or postgres)
+ */
+export function createTokenStore(type = process.env.TOKEN_STORE || 'memory') {
+  switch (type) {
+    case 'file':
+      return new FileTokenStore(process.env.TOKEN_STORE_PATH || path.join(process.cwd(), '.tokens', 'tradestation.json'));
+    case 'postgres':
+      return new PostgresTokenStore();
+    case 'memory':
+      return new MemoryTokenStore();
+    default:
+      console.warn(`⚠️  Unknown TOKEN_STORE "${type}", tokens will not be persisted`);
+      return new MemoryTokenStore();
+  }
+}
@@ -0,0 +1,193 @@
+import {
+  MODELS,
+  modelForSymbol,
+  optionGreeks,
+  resolveImpliedVolatility,
+  timeToExpiry
+} from './pricing.js';
+import { daysToExpiration, groupByExpiration } from './analytics.js';
+
+/**
+ * Implied volatility surface and term structure from the latest quotes of one underlying
+ *
+ * Each expiration becomes a smile built from out-of-the-money options (puts below the
+ * underlying, calls above), which are the liquid side of the chain. The surface is then
+ * resampled onto a shared axis so every expiration has a value at every column.
+ */
+
+export const SURFACE_AXES = ['strike', 'moneyness', 'delta'];
+
+const MONEYNESS_POINTS = [0.8, 0.85, 0.9, 0.925, 0.95, 0.975, 1, 1.025, 1.05, 1.075, 1.1, 1.15, 1.2];
+const DELTA_POINTS = [0.05, 0.1, 0.15, 0.2, 0.25, 0.3, 0.35, 0.4, 0.45, 0.5, 0.55, 0.6, 0.65, 0.7, 0.75, 0.8, 0.85, 0.9, 0.95];
+const SKEW_DELTA = 0.25;
+
+/**
+ * Linear interpolation over points sorted by x
+ * Returns null outside the sampled range rather than extrapolating
+ */
+export function interpolate(points, x) {
+  if (points.length === 0 || x < points[0].x || x > points[points.length - 1].x) {
+    return null;
+  }
+  for (let index = 0; index < points.length - 1; index++) {
+    const left = points[index];
+    const right = points[index + 1];
+    if (x >= left.x && x <= right.x) {
+      if (right.x === left.x) {
+        return left.y;
+      }
+      return left.y + (right.y - left.y) * (x - left.x) / (right.x - left.x);
+    }
+  }
+  return points[points.length - 1].y;
+}
+
+/**
+ * Build one expiration's smile: one OTM volatility per strike plus call/put deltas at that volatility
+ */
+function buildSlice(expirationDate, rows, { spot, rate, dividendYield, indexDividendYield, now }) {
+  const model = modelForSymbol(rows[0].option_symbol || rows[0].symbol);
+  const time = timeToExpiry(expirationDate, now);
+  const carryYield = model === MODELS.BLACK_76 ? indexDividendYield : dividendYield;
+  const inputs = { underlyingPrice: spot, rate, dividendYield, indexDividendYield, now };
+
+  const byStrike = new Map();
+  rows.forEach(row => {
+    const strike = parseFloat(row.strike);
+    const volatility = resolveImpliedVolatility(row, inputs);
+    if (!Number.isFinite(strike) || volatility === null) {
+      return;
+    }
+    const entry = byStrike.get(strike) || { strike };
+    entry[row.option_type === 'Call' ? 'call' : 'put'] = volatility;
+    byStrike.set(strike, entry);
+  });
+
+  const points = [...byStrike.values()]
+    .map(entry => {
+      const otm = entry.strike >= spot ? entry.call : entry.put;
+      const volatility = otm ?? entry.call ?? entry.put;
+      const params = { spot, strike: entry.strike, time, rate, dividendYield: carryYield, volatility };
+      return {
+        strike: entry.strike,
+        moneyness: entry.strike / spot,
+        implied_volatility: volatility,
+        call_delta: optionGreeks({ ...params, optionType: 'Call' }).delta,
+        put_delta: optionGreeks({ ...params, optionType: 'Put' }).delta
+      };
+    })
+    .sort((a, b) => a.strike - b.strike);
+
+  const strikeCurve = points.map(point => ({ x: point.strike, y: point.implied_volatility }));
+  // Deltas fall as strikes rise, so sort ascending for interpolation
+  const callDeltaCurve = points.map(point => ({ x: point.call_delta, y: point.implied_volatility })).sort((a, b) => a.x - b.x);
+  const putDeltaCurve = points.map(point => ({ x: point.put_delta, y: point.implied_volatility })).sort((a, b) => a.x - b.x);
+
+  const atmIv = interpolate(strikeCurve, spot);
+  const call25 = interpolate(callDeltaCurve, SKEW_DELTA);
+  const put25 = interpolate(putDeltaCurve, -SKEW_DELTA);
+
+  return {
+    expiration_date: expirationDate,
+    days_to_expiration: daysToExpiration(expirationDate, now),
+    time_to_expiry: time,
+    model,
+    points,
+    curves: { strike: strikeCurve, delta: callDeltaCurve },
+    term: {
+      atm_iv: atmIv,
+      call_25d_iv: call25,
+      put_25d_iv: put25,
+      // Put minus call: positive when downside puts are bid over upside calls (the usual equity skew)
+      skew_25d: call25 !== null && put25 !== null ? put25 - call25 : null,
+      butterfly_25d: call25 !== null && put25 !== null && atmIv !== null ? (call25 + put25) / 2 - atmIv : null
+    }
+  };
+}
+
+/**
+ * Build the volatility surface, ATM term structure and 25-delta skew
+ *
+ * @param {Object[]} rows - Latest options rows (strike, option_type, expiration_date, bid/ask/mid, implied_volatility)
+ * @param {Object} options
+ * @param {number} options.spot - Underlying price
+ * @param {string} options.axis - 'strike', 'moneyness' (strike / spot) or 'delta' (call delta)
+ * @param {number} options.strikeRange - Strike axis only: keep strikes within this fraction of spot (default 0.2)
+ * @param {number} options.rate - Risk-free rate
+ * @param {number} options.dividendYield - Equity dividend yield
+ * @param {number} options.indexDividendYield - Index dividend yield
+ * @param {Date} options.now - Valuation time
+ */
+export function buildVolSurface(rows, {
+  spot,
+  axis = 'strike',
+  strikeRange = 0.2,
+  rate = 0,
+  dividendYield = 0,
+  indexDividendYield = 0,
+  now = new Date()
+}) {
+  const slices = [...groupByExpiration(rows).entries()]
+    .map(([expirationDate, expirationRows]) => buildSlice(expirationDate, expirationRows, {
+      spot, rate, dividendYield, indexDividendYield, now
+    }))
+    .filter(slice => slice.points.length > 0);
+
+  let x;
+  if (axis === 'moneyness') {
+    x = MONEYNESS_POINTS;
+  } else if (axis === 'delta') {
+    x = DELTA_POINTS;
+  } else {
+    const strikes = new Set();
+    slices.forEach(slice => slice.points.forEach(point => strikes.add(point.strike)));
+    x = [...strikes]
+      .filter(strike => Math.abs(strike / spot - 1) <= strikeRange)
+      .sort((a, b) => a - b);
+  }
+
+  const iv = [];
+  const interpolated = [];
+  slices.forEach(slice => {
+    const sampled = new Set(slice.points.map(point => axis === 'moneyness' ? point.moneyness : point.strike));
+    const row = [];
+    const flags = [];
+    x.forEach(value => {
+      let volatility;
+      if (axis === 'delta') {
+        volatility = interpolate(slice.curves.delta, value);
+      } else if (axis === 'moneyness') {
+        volatility = interpolate(slice.curves.strike, value * spot);
+      } else {
+        volatility = interpolate(slice.curves.strike, value);
+      }
+      row.push(volatility);
+      // Delta columns are always resampled; strike and moneyness columns only when no quote sits there
+      flags.push(volatility !== null && (axis === 'delta' || !sampled.has(value)));
+    });
+    iv.push(row);
+    interpolated.push(flags);
+  });
+
+  return {
+    axis,
+    underlying_price: spot,
+    x,
+    y: slices.map(slice => slice.expiration_date),
+    days_to_expiration: slices.map(slice => slice.days_to_expiration),
+    iv,
+    interpolated,
+    term_structure: slices.map(slice => ({
+      expiration_date: slice.expiration_date,
+      days_to_expiration: slice.days_to_expiration,
+      time_to_expiry: slice.time_to_expiry,
+      model: slice.model,
+      strikes: slice.points.length,
+      ...slice.term
+    })),
+    smiles: slices.map(slice => ({
+      expiration_date: slice.expiration_date,
+      points: slice.points
+    }))
+  };
+}
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * Schema Migrations Script
+ * 
+ * Applies, reverts and lists the versioned migrations in database/migrations.
+ * 
+ * Usage:
+ *   node migrate.js <command> [options]
+ * 
+ * Commands:
+ *   up                Apply pending migrations
+ *   down              Roll back the latest migration
+ *   status            List applied and pending migrations
+ * 
+ * Options:
+ *   --to <version>    up: stop after this version; down: revert everything above it
+ *   --steps <count>   down: number of migrations to roll back (default: 1)
+ * 
+ * Examples:
+ *   node migrate.js up
+ *   node migrate.js down --steps 2
+ *   node migrate.js status
+ */
+
+import { migrate, rollback, getMigrationStatus } from './lib/migrations.js';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+// Load environment variables
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+dotenv.config({ path: join(__dirname, '.env') });
+
+const MIGRATIONS_DIR = join(__dirname, 'database', 'migrations');
+
+// Parse command line arguments
+function parseArguments() {
+  const [command, ...args] = process.argv.slice(2);
+  const options = { command, to: null, steps: 1 };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const value = parseInt(args[i + 1], 10);
+
+    switch (arg) {
+      case '--to':
+        if (isNaN(value) || value < 0) {
+          console.error('❌ --to requires a migration version');
+          process.exit(1);
+        }
+        options.to = value;
+        i++; // Skip next argument as it's the value
+        break;
+
+      case '--steps':
+        if (isNaN(value) || value < 1) {
+          console.error('❌ --steps must be a positive number');
+          process.exit(1);
+        }
+        options.steps = value;
+        i++; // Skip next argument as it's the value
+        break;
+
+      default:
+        console.error(`❌ Unknown argument: ${arg}`);
+        process.exit(1);
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArguments();
+
+  switch (options.command) {
+    case 'up':
+      await migrate({ to: options.to, dir: MIGRATIONS_DIR });
+      break;
+
+    case 'down':
+      await rollback({ steps: options.steps, to: options.to, dir: MIGRATIONS_DIR });
+      break;
+
+    case 'status': {
+      const status = await getMigrationStatus(MIGRATIONS_DIR);
+      console.log('📋 Schema Migrations');
+      console.log('====================');
+      status.migrations.forEach(migration => {
+        const appliedAt = migration.applied_at ? new Date(migration.applied_at).toISOString() : '';
+        console.log(`  ${String(migration.version).padStart(3, '0')}_${migration.name.padEnd(40)} ${migration.status.padEnd(9)} ${appliedAt}`);
+      });
+      console.log('---');
+      console.log(`📌 Current version: ${status.current_version ?? 'none'}`);
+      console.log(`⏳ Pending: ${status.pending}`);
+      break;
+    }
+
+    default:
+      console.error('❌ Usage: node migrate.js <up|down|status> [--to <version>] [--steps <count>]');
+      process.exit(1);
+  }
+}
+
+// Run the script
+main().then(() => {
+  process.exit(0);
+}).catch(error => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
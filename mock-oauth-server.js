@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * Mock TradeStation OAuth Server
+ *
+ * Minimal stand-in for signin.tradestation.com so the login flow and token refresh
+ * can be exercised locally without real credentials.
+ *
+ * Usage:
+ *   npm run mock:oauth
+ *   TRADESTATION_AUTH_BASE_URL=http://localhost:8003 npm run dev
+ *   open http://localhost:8002/api/auth/login (enter the API key in the form)
+ *
+ * Endpoints:
+ *   GET  /authorize     Approves immediately and redirects back with a code
+ *   POST /oauth/token   authorization_code (verifies PKCE) and refresh_token grants
+ *
+ * Refresh tokens are rotated on every refresh, like TradeStation can do.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+
+const PORT = parseInt(process.env.MOCK_OAUTH_PORT) || 8003;
+const EXPIRES_IN = parseInt(process.env.MOCK_OAUTH_EXPIRES_IN) || 1200;
+
+const codes = new Map(); // code -> { codeChallenge, redirectUri, clientId }
+const refreshTokens = new Set();
+
+const randomToken = (prefix) => `${prefix}_${crypto.randomBytes(16).toString('hex')}`;
+
+function sha256Base64Url(value) {
+  return crypto.createHash('sha256').update(value).digest('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function issueTokens() {
+  const refreshToken = randomToken('mock_refresh');
+  refreshTokens.add(refreshToken);
+  return {
+    access_token: randomToken('mock_access'),
+    refresh_token: refreshToken,
+    token_type: 'Bearer',
+    expires_in: EXPIRES_IN,
+    scope: 'openid offline_access profile MarketData ReadAccount'
+  };
+}
+
+function handleAuthorize(url, res) {
+  const redirectUri = url.searchParams.get('redirect_uri');
+  const codeChallenge = url.searchParams.get('code_challenge');
+
+  if (!redirectUri || !codeChallenge || url.searchParams.get('code_challenge_method') !== 'S256') {
+    return sendJson(res, 400, { error: 'invalid_request', error_description: 'redirect_uri and S256 code_challenge are required' });
+  }
+
+  const code = randomToken('mock_code');
+  codes.set(code, { codeChallenge, redirectUri, clientId: url.searchParams.get('client_id') });
+
+  const redirect = new URL(redirectUri);
+  redirect.searchParams.set('code', code);
+  redirect.searchParams.set('state', url.searchParams.get('state') || '');
+  console.log(`🔑 Issued code for client ${url.searchParams.get('client_id')}, redirecting to ${redirectUri}`);
+  res.writeHead(302, { Location: redirect.toString() });
+  res.end();
+}
+
+function handleToken(params, res) {
+  const grantType = params.get('grant_type');
+
+  if (grantType === 'authorization_code') {
+    const pending = codes.get(params.get('code'));
+    codes.delete(params.get('code'));
+
+    if (!pending) {
+      return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Unknown or used authorization code' });
+    }
+    if (pending.redirectUri !== params.get('redirect_uri')) {
+      return sendJson(res, 400, { error: 'invalid_grant', error_description: 'redirect_uri mismatch' });
+    }
+    if (sha256Base64Url(params.get('code_verifier') || '') !== pending.codeChallenge) {
+      return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    console.log('✅ Exchanged authorization code for tokens');
+    return sendJson(res, 200, issueTokens());
+  }
+
+  if (grantType === 'refresh_token') {
+    const refreshToken = params.get('refresh_token');
+    if (!refreshTokens.has(refreshToken)) {
+      return sendJson(res, 403, { error: 'invalid_grant', error_description: 'Unknown or revoked refresh token' });
+    }
+
+    // Rotate: the old refresh token stops working
+    refreshTokens.delete(refreshToken);
+    console.log('🔄 Refreshed tokens (refresh token rotated)');
+    return sendJson(res, 200, issueTokens());
+  }
+
+  return sendJson(res, 400, { error: 'unsupported_grant_type' });
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (req.method === 'GET' && url.pathname === '/authorize') {
+    return handleAuthorize(url, res);
+  }
+
+  if (req.method === 'POST' && url.pathname === '/oauth/token') {
+    let body = '';
+    req.on('data', (chunk) => body += chunk);
+    req.on('end', () => {
+      const params = req.headers['content-type']?.includes('application/json')
+        ? new URLSearchParams(JSON.parse(body || '{}'))
+        : new URLSearchParams(body);
+      handleToken(params, res);
+    });
+    return;
+  }
+
+  sendJson(res, 404, { error: 'not_found' });
+});
+
+server.listen(PORT, () => {
+  console.log(`🧪 Mock TradeStation OAuth server listening on http://localhost:${PORT}`);
+});
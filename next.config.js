@@ -3,6 +3,14 @@ const nextConfig = {
   env: {
     CUSTOM_KEY: process.env.CUSTOM_KEY,
   },
+  experimental: {
+    // /api/health reads the migration files to report pending migrations,
+    // /api/cleanup-options reads the retention policy
+    outputFileTracingIncludes: {
+      '/api/health': ['./database/migrations/**'],
+      '/api/cleanup-options': ['./options-config.json'],
+    },
+  },
 }
 
 module.exports = nextConfig
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+/**
+ * Daily Options Rollup Script
+ *
+ * Builds the options_daily bars (OHLC plus last bid/ask/IV per contract) for New York
+ * trading dates from the intraday snapshots. Rerunning a date replaces its bars.
+ *
+ * Usage:
+ *   node rollup-options-daily.js [options]
+ *
+ * Options:
+ *   --date <YYYY-MM-DD>   Trading date to roll up (default: today in New York)
+ *   --days <count>        Also roll up the preceding dates, count dates in total (default: 1)
+ *
+ * Examples:
+ *   node rollup-options-daily.js
+ *   node rollup-options-daily.js --date 2025-01-15
+ *   node rollup-options-daily.js --date 2025-01-17 --days 5
+ */
+
+import { OptionsDatabase } from './lib/database.js';
+import { marketDate } from './lib/expirationFilter.js';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+// Load environment variables
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+dotenv.config({ path: join(__dirname, '.env') });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Parse command line arguments
+function parseArguments() {
+  const args = process.argv.slice(2);
+  const options = { date: marketDate(), days: 1 };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const value = args[i + 1];
+
+    switch (arg) {
+      case '--date': {
+        const parsed = value ? new Date(`${value}T00:00:00Z`) : null;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '') || isNaN(parsed) || parsed.toISOString().slice(0, 10) !== value) {
+          console.error('❌ --date requires a date in YYYY-MM-DD form');
+          process.exit(1);
+        }
+        options.date = value;
+        i++; // Skip next argument as it's the value
+        break;
+      }
+
+      case '--days': {
+        const days = parseInt(value, 10);
+        if (isNaN(days) || days < 1) {
+          console.error('❌ --days must be a positive number');
+          process.exit(1);
+        }
+        options.days = days;
+        i++; // Skip next argument as it's the value
+        break;
+      }
+
+      default:
+        console.error(`❌ Unknown argument: ${arg}`);
+        console.error('❌ Usage: node rollup-options-daily.js [--date <YYYY-MM-DD>] [--days <count>]');
+        process.exit(1);
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArguments();
+  const last = new Date(`${options.date}T00:00:00Z`).getTime();
+
+  // Oldest date first, so a backfill fills in the same order the dates happened
+  const dates = [];
+  for (let offset = options.days - 1; offset >= 0; offset--) {
+    dates.push(new Date(last - offset * DAY_MS).toISOString().slice(0, 10));
+  }
+
+  console.log('📅 Daily Options Rollup');
+  console.log('======================');
+  let totalBars = 0;
+  for (const date of dates) {
+    const result = await OptionsDatabase.rollupDailyBars(date);
+    totalBars += result.rowCount;
+  }
+  console.log('---');
+  console.log(`✅ Rolled up ${totalBars} daily bars across ${dates.length} dates`);
+}
+
+// Run the script
+main().then(() => {
+  process.exit(0);
+}).catch(error => {
+  console.error('❌ Rollup failed:', error.message);
+  process.exit(1);
+});
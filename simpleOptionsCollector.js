@@ -1,23 +1,84 @@
 import axios from 'axios';
 import dotenv from 'dotenv';
-import TokenManager from './tokenManager.js';
+import TokenManager, { TokenUnavailableError } from './tokenManager.js';
+import { readSnapshotStream } from './lib/ndjsonStream.js';
+import { DEFAULT_CHAIN_FILTERS, buildChainQueryParams } from './lib/chainFilters.js';
+import { RequestScheduler } from './lib/rateLimiter.js';
+import { withRetry, DEFAULT_RETRY_POLICY } from './lib/retry.js';
+import { validateOptionQuotes } from './lib/quoteQuality.js';
+import { matchesExpirationFilter } from './lib/expirationFilter.js';
 import fs from 'fs';
 import path from 'path';
 
 // Load environment variables
 dotenv.config();
 
+// Chain roots without a quote of their own, mapped to the symbol that carries the spot price
+const UNDERLYING_QUOTE_SYMBOLS = {
+  '$SPXW.X': '$SPX.X'
+};
+
 class SimpleOptionsCollector {
   constructor() {
     this.tokenManager = TokenManager.getInstance();
     this.symbols = process.env.SYMBOLS ? process.env.SYMBOLS.split(',').map(s => s.trim()) : ['$SPX.X', '$SPXW.X'];
     this.topRecords = 3; // Focus on 3 contracts for weekly and 3 for monthly
-    this.streamDuration = 2000; // 2 seconds
-    this.expirationFilter = null; // null = all, 'Weekly' = weekly only, 'Monthly' = monthly only
+    this.streamDuration = 2000; // Upper bound for waiting on the chain snapshot (2 seconds)
+    this.expirationFilter = null; // null = all, or { types, minDte, maxDte } from validateExpirationFilter
+    this.enableGreeks = false; // Request Greeks and implied volatility from the chain stream
+    this.chainFilters = { ...DEFAULT_CHAIN_FILTERS }; // strikeProximity, strikeInterval, range, spreadType, riskFreeRate, priceCenter
+    this.concurrency = 4; // Maximum TradeStation requests/streams in flight
+    this.requestsPerMinute = 90; // Token-bucket rate to stay under the TradeStation market data quota
+    this.scheduler = null;
+    this.retryPolicy = { ...DEFAULT_RETRY_POLICY }; // maxAttempts, baseDelay, maxDelay
+    this.attemptLog = []; // Per-operation attempt details for the last collection
+  }
+
+  /**
+   * Run a TradeStation call under the retry policy and record its attempts
+   * A 401 triggers one token refresh before the call is retried
+   *
+   * @param {string} operation - 'expirations' or 'stream'
+   * @param {Object} context - Identifies the call in the attempt log (symbol, expiration)
+   * @param {Function} task - Async function performing the call
+   */
+  async runWithRetry(operation, context, task) {
+    try {
+      const { result, attempts } = await withRetry(task, {
+        ...this.retryPolicy,
+        onAuthError: () => this.tokenManager.refreshAccessToken()
+      });
+      this.attemptLog.push({ operation, ...context, outcome: 'success', attempts });
+      return result;
+    } catch (error) {
+      this.attemptLog.push({
+        operation,
+        ...context,
+        outcome: 'failed',
+        classification: error.classification || 'fatal',
+        error: error.message,
+        attempts: error.attempts || []
+      });
+      throw error;
+    }
   }
 
   /**
-   * Get top 5 expirations for each symbol
+   * Get the request scheduler shared by all calls of this collector
+   * Created on first use so concurrency and rate settings can be changed after construction
+   */
+  getScheduler() {
+    if (!this.scheduler) {
+      this.scheduler = new RequestScheduler({
+        concurrency: this.concurrency,
+        requestsPerMinute: this.requestsPerMinute
+      });
+    }
+    return this.scheduler;
+  }
+
+  /**
+   * Get the top expirations for each symbol
    */
   async getExpirations() {
     try {
@@ -25,41 +86,41 @@ class SimpleOptionsCollector {
       
       const isValidToken = await this.tokenManager.ensureValidToken();
       if (!isValidToken) {
-        throw new Error('Authentication failed');
+        throw new TokenUnavailableError(this.tokenManager.getTokenInfo());
       }
       
-      const token = this.tokenManager.getAccessToken();
+      const scheduler = this.getScheduler();
       const expirations = {};
       
-      for (const symbol of this.symbols) {
+      await Promise.all(this.symbols.map(async (symbol) => {
         // console.log(`📊 Getting expirations for ${symbol}...`);
         
-        const response = await axios.get(
-          `https://api.tradestation.com/v3/marketdata/options/expirations/${symbol}`,
-          {
-            headers: {
-              'Authorization': `Bearer ${token}`,
-              'Content-Type': 'application/json'
-            },
-            timeout: 30000
-          }
-        );
-
-        // Filter by expiration type first, then get top records
-        let filteredExpirations = response.data.Expirations;
-        if (this.expirationFilter) {
-          filteredExpirations = response.data.Expirations.filter(exp => exp.Type === this.expirationFilter);
+        let response;
+        try {
+          response = await this.runWithRetry('expirations', { symbol }, () => scheduler.schedule(() => axios.get(
+            `https://api.tradestation.com/v3/marketdata/options/expirations/${symbol}`,
+            {
+              headers: {
+                // Read per attempt so a retry after a 401 uses the refreshed token
+                'Authorization': `Bearer ${this.tokenManager.getAccessToken()}`,
+                'Content-Type': 'application/json'
+              },
+              timeout: 30000
+            }
+          )));
+        } catch (error) {
+          // One symbol failing should not stop the others
+          console.error(`❌ Failed to get expirations for ${symbol}:`, error.message);
+          expirations[symbol] = [];
+          return;
         }
+
+        // Filter by expiration type and days to expiration first, then get top records
+        const filteredExpirations = response.data.Expirations.filter(exp => matchesExpirationFilter(exp, this.expirationFilter));
         
         // Get top N records from filtered list
-        const topExpirations = filteredExpirations.slice(0, this.topRecords);
-        expirations[symbol] = topExpirations;
-        
-        // console.log(`✅ ${symbol}: Got ${topExpirations.length} expirations`);
-        topExpirations.forEach((exp, index) => {
-          // console.log(`   ${index + 1}. ${exp.Date} (${exp.Type})`);
-        });
-      }
+        expirations[symbol] = filteredExpirations.slice(0, this.topRecords);
+      }));
       
       return expirations;
       
@@ -71,38 +132,145 @@ class SimpleOptionsCollector {
 
 
   /**
-   * Clean and extract only essential options data fields
+   * Get the underlying quote for every collected symbol in one request
+   * All quotes share one captured_at, which chain rows reference as underlying_captured_at
+   * A failed request is logged and returns no quotes so the chains are still collected
+   *
+   * @returns {Object} Cleaned quotes keyed by collected symbol (e.g. '$SPX.X')
    */
-  cleanOptionsData(rawData, expiration) {
+  async getUnderlyingQuotes() {
+    const quoteSymbols = [...new Set(this.symbols.map(symbol => UNDERLYING_QUOTE_SYMBOLS[symbol] || symbol))];
+    const scheduler = this.getScheduler();
+    const capturedAt = new Date().toISOString();
+
+    let response;
     try {
-      const cleanedOptions = [];
-      
-      // Extract data from each leg in the options chain
-      if (rawData.Legs && Array.isArray(rawData.Legs)) {
-        for (const leg of rawData.Legs) {
-          const cleanedData = {
-            expiration_date: expiration.Date,
-            strike: leg.StrikePrice || null,
-            expiration_type: expiration.Type || null,
-            ask: rawData.Ask || null,
-            bid: rawData.Bid || null,
-            mid: rawData.Mid || null,
-            close: rawData.Close || null,
-            high: rawData.High || null,
-            last: rawData.Last || null,
-            low: rawData.Low || null,
-            open: rawData.Open || null,
-            previous_close: rawData.PreviousClose || null,
-            option_type: leg.OptionType || null, // Put or Call
-            symbol: leg.Symbol || null,
-            timestamp: new Date().toISOString()
-          };
-          
-          cleanedOptions.push(cleanedData);
+      response = await this.runWithRetry('quotes', { symbol: quoteSymbols.join(',') }, () => scheduler.schedule(() => axios.get(
+        `https://api.tradestation.com/v3/marketdata/quotes/${quoteSymbols.join(',')}`,
+        {
+          headers: {
+            'Authorization': `Bearer ${this.tokenManager.getAccessToken()}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: 30000
         }
+      )));
+    } catch (error) {
+      console.error('❌ Failed to get underlying quotes:', error.message);
+      return {};
+    }
+
+    (response.data.Errors || []).forEach(quoteError => {
+      console.warn(`⚠️  No quote for ${quoteError.Symbol}: ${quoteError.Error}`);
+    });
+
+    const quotesBySymbol = new Map((response.data.Quotes || []).map(quote => [quote.Symbol, quote]));
+    const quotes = {};
+
+    this.symbols.forEach(symbol => {
+      const quoteSymbol = UNDERLYING_QUOTE_SYMBOLS[symbol] || symbol;
+      const rawQuote = quotesBySymbol.get(quoteSymbol);
+      if (!rawQuote) {
+        return;
       }
-      
-      return cleanedOptions;
+
+      const bid = parseFloat(rawQuote.Bid);
+      const ask = parseFloat(rawQuote.Ask);
+      quotes[symbol] = {
+        symbol: symbol.replace(/^\$/, '').replace(/\.X$/, ''),
+        quote_symbol: quoteSymbol,
+        last: rawQuote.Last ?? null,
+        bid: rawQuote.Bid ?? null,
+        ask: rawQuote.Ask ?? null,
+        mid: bid > 0 && ask > 0 ? (bid + ask) / 2 : null,
+        open: rawQuote.Open ?? null,
+        high: rawQuote.High ?? null,
+        low: rawQuote.Low ?? null,
+        close: rawQuote.Close ?? null,
+        previous_close: rawQuote.PreviousClose ?? null,
+        volume: rawQuote.Volume ?? null,
+        trade_time: rawQuote.TradeTime || null,
+        captured_at: capturedAt
+      };
+    });
+
+    return quotes;
+  }
+
+  /**
+   * Point a chain row at the underlying quote it was captured against
+   * The quote's last price fills underlying_price when the stream did not send one
+   */
+  applyUnderlyingQuote(row, quote) {
+    if (!quote) {
+      return row;
+    }
+    row.underlying_symbol = quote.symbol;
+    row.underlying_captured_at = quote.captured_at;
+    if (row.underlying_price === null || row.underlying_price === undefined) {
+      row.underlying_price = quote.last ?? quote.mid;
+    }
+    return row;
+  }
+
+  /**
+   * Extract the quote fields a chain row carries for itself
+   * For a single-leg row this is the contract's own quote, for a multi-leg row it is the spread's quote
+   */
+  extractQuoteFields(rawData) {
+    const quote = {
+      ask: rawData.Ask ?? null,
+      bid: rawData.Bid ?? null,
+      mid: rawData.Mid ?? null,
+      close: rawData.Close ?? null,
+      high: rawData.High ?? null,
+      last: rawData.Last ?? null,
+      low: rawData.Low ?? null,
+      open: rawData.Open ?? null,
+      previous_close: rawData.PreviousClose ?? null,
+      bid_size: rawData.BidSize ?? null,
+      ask_size: rawData.AskSize ?? null,
+      volume: rawData.Volume ?? null,
+      open_interest: rawData.DailyOpenInterest ?? null,
+      underlying_price: rawData.UnderlyingPrice ?? null
+    };
+
+    // Greeks and IV are only present when the stream was opened with enableGreeks
+    if (this.enableGreeks) {
+      Object.assign(quote, {
+        delta: rawData.Delta ?? null,
+        gamma: rawData.Gamma ?? null,
+        theta: rawData.Theta ?? null,
+        vega: rawData.Vega ?? null,
+        rho: rawData.Rho ?? null,
+        implied_volatility: rawData.ImpliedVolatility ?? null
+      });
+    }
+
+    return quote;
+  }
+
+  /**
+   * Clean and extract only essential options data fields from a single-leg chain row
+   * Multi-leg rows (straddles, strangles) are handled by cleanSpreadData since their
+   * quote belongs to the spread, not to either leg
+   */
+  cleanOptionsData(rawData, expiration) {
+    try {
+      if (!rawData.Legs || !Array.isArray(rawData.Legs) || rawData.Legs.length !== 1) {
+        return [];
+      }
+
+      const leg = rawData.Legs[0];
+      return [{
+        expiration_date: expiration.Date,
+        strike: leg.StrikePrice || null,
+        expiration_type: expiration.Type || null,
+        ...this.extractQuoteFields(rawData),
+        option_type: leg.OptionType || null, // Put or Call
+        symbol: leg.Symbol || null,
+        timestamp: new Date().toISOString()
+      }];
     } catch (error) {
       console.warn(`⚠️  Failed to clean options data:`, error.message);
       return [];
@@ -110,7 +278,41 @@ class SimpleOptionsCollector {
   }
 
   /**
-   * Stream options chain data for 2 seconds with a single expiration
+   * Clean a multi-leg chain row into a single spread record
+   * The quote is stored once for the spread together with its legs
+   */
+  cleanSpreadData(rawData, expiration) {
+    try {
+      if (!rawData.Legs || !Array.isArray(rawData.Legs) || rawData.Legs.length < 2) {
+        return null;
+      }
+
+      const legs = rawData.Legs.map(leg => ({
+        symbol: leg.Symbol || null,
+        option_type: leg.OptionType || null,
+        strike: leg.StrikePrice || null,
+        ratio: leg.Ratio ?? 1
+      }));
+
+      return {
+        spread_type: this.chainFilters.spreadType !== 'Single' ? this.chainFilters.spreadType : classifySpread(legs),
+        spread_symbol: legs.map(leg => leg.symbol).join(','),
+        expiration_date: expiration.Date,
+        expiration_type: expiration.Type || null,
+        strikes: rawData.Strikes || legs.map(leg => leg.strike),
+        legs: legs,
+        ...this.extractQuoteFields(rawData),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.warn(`⚠️  Failed to clean spread data:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Stream the options chain snapshot for a single expiration
+   * Reads until TradeStation signals the end of the snapshot, with streamDuration as the upper bound
    */
   async streamOptionsChainForExpiration(symbol, expiration) {
     try {
@@ -121,8 +323,8 @@ class SimpleOptionsCollector {
       
       // Build query parameters
       const params = {
-        enableGreeks: false,  // Set to false as requested
-        strikeProximity: 1,
+        ...buildChainQueryParams(this.chainFilters),
+        enableGreeks: this.enableGreeks,
         expiration: expiration.Date
       };
       
@@ -142,84 +344,50 @@ class SimpleOptionsCollector {
 
       // console.log(`✅ Connected to stream for ${symbol} - ${expiration.Date}`);
       
-      let dataReceived = 0;
-      let chunks = [];
-      let records = 0;
-
-      // Set up timeout to stop streaming
-      const timeoutId = setTimeout(() => {
-        // console.log(`⏰ ${this.streamDuration/1000}-second timeout reached, closing stream for ${symbol} - ${expiration.Date}...`);
-        response.data.destroy();
-      }, this.streamDuration);
+      // Contracts and spreads keyed by symbol so a repeated row replaces the earlier one
+      const options = new Map();
+      const spreads = new Map();
 
-      // Handle streaming data
-      response.data.on('data', (chunk) => {
-        dataReceived += chunk.length;
-        chunks.push(chunk.toString());
-        
-        // Count records (assuming each line is a JSON record)
-        const lines = chunk.toString().split('\n').filter(line => line.trim());
-        records += lines.length;
-        
-        // console.log(`📊 ${symbol} (${expiration.Date}): Received ${dataReceived} bytes, ${records} records...`);
-      });
-
-      response.data.on('end', () => {
-        clearTimeout(timeoutId);
-        // console.log(`🔚 Stream ended for ${symbol} - ${expiration.Date}`);
-        // console.log(`📊 ${symbol} (${expiration.Date}): Total data received: ${dataReceived} bytes, ${records} records`);
-      });
-
-      response.data.on('error', (error) => {
-        clearTimeout(timeoutId);
-        console.error(`❌ Stream error for ${symbol} - ${expiration.Date}:`, error.message);
-      });
-
-      // Wait for the timeout or stream end
-      await new Promise((resolve) => {
-        setTimeout(resolve, this.streamDuration + 1000);
-      });
-
-      // Combine all chunks and parse JSON lines
-      const fullData = chunks.join('');
-      
-      // Parse JSON lines into proper JSON array and clean up data
-      let parsedData = [];
-      try {
-        const lines = fullData.split('\n').filter(line => line.trim());
-        const allOptions = [];
-        
-        lines.forEach(line => {
-          try {
-            const rawData = JSON.parse(line.trim());
-            const cleanedOptions = this.cleanOptionsData(rawData, expiration);
-            if (cleanedOptions && cleanedOptions.length > 0) {
-              allOptions.push(...cleanedOptions);
+      // Parse rows as they arrive and stop once the initial snapshot is complete
+      const streamStats = await readSnapshotStream(response.data, {
+        maxDuration: this.streamDuration,
+        onData: (rawData) => {
+          // Multi-leg rows carry a spread quote, single-leg rows carry the contract's own quote
+          if (Array.isArray(rawData.Legs) && rawData.Legs.length > 1) {
+            const cleanedSpread = this.cleanSpreadData(rawData, expiration);
+            if (cleanedSpread) {
+              spreads.set(cleanedSpread.spread_symbol, cleanedSpread);
             }
-          } catch (parseError) {
-            console.warn(`⚠️  Failed to parse line: ${line.substring(0, 100)}...`);
+            return;
           }
-        });
-        
-        parsedData = allOptions;
-        // console.log(`✅ ${symbol} (${expiration.Date}): Parsed ${parsedData.length} valid options records`);
-      } catch (error) {
-        console.error(`❌ Failed to parse JSON data for ${symbol} - ${expiration.Date}:`, error.message);
-        parsedData = [];
+          
+          for (const cleanedOption of this.cleanOptionsData(rawData, expiration)) {
+            options.set(cleanedOption.symbol, cleanedOption);
+          }
+        }
+      });
+
+      if (streamStats.endReason !== 'end_snapshot') {
+        console.warn(`⚠️  ${symbol} (${expiration.Date}): stream closed before end of snapshot (${streamStats.endReason})`);
       }
       
       return {
         symbol: symbol,
         expiration: expiration,
-        dataReceived: dataReceived,
-        records: records,
-        rawData: fullData,
-        parsedData: parsedData,
+        dataReceived: streamStats.bytesReceived,
+        records: streamStats.messages,
+        heartbeats: streamStats.heartbeats,
+        endReason: streamStats.endReason,
+        parsedData: Array.from(options.values()),
+        spreadData: Array.from(spreads.values()),
         timestamp: new Date().toISOString()
       };
       
     } catch (error) {
       console.error(`❌ Failed to stream options chain for ${symbol} - ${expiration.Date}:`, error.message);
+      if (error.name === 'StreamError') {
+        console.error(`📡 Stream error frame: ${error.code}`);
+      }
       if (error.response) {
         console.error(`📡 Response status: ${error.response.status}`);
         console.error(`📡 Response data:`, error.response.data);
@@ -235,26 +403,25 @@ class SimpleOptionsCollector {
     try {
       // console.log(`📡 Streaming options chain for ${symbol} with ${expirations.length} expirations...`);
       
-      const results = [];
-      
-      for (const expiration of expirations) {
-        try {
-          const result = await this.streamOptionsChainForExpiration(symbol, expiration);
-          results.push(result);
-          
-          // Small delay between expirations
-          await new Promise(resolve => setTimeout(resolve, 1000));
-          
-        } catch (error) {
-          console.error(`❌ Failed to stream ${symbol} - ${expiration.Date}:`, error.message);
-          results.push({
-            symbol: symbol,
-            expiration: expiration,
-            error: error.message,
-            timestamp: new Date().toISOString()
-          });
-        }
-      }
+      const scheduler = this.getScheduler();
+      
+      // Each expiration stream holds one scheduler slot until its snapshot is read
+      const results = await Promise.all(expirations.map(expiration =>
+        this.runWithRetry('stream', { symbol, expiration: expiration.Date }, () =>
+          scheduler.schedule(() => this.streamOptionsChainForExpiration(symbol, expiration))
+        )
+          .catch(error => {
+            console.error(`❌ Failed to stream ${symbol} - ${expiration.Date}:`, error.message);
+            return {
+              symbol: symbol,
+              expiration: expiration,
+              error: error.message,
+              errorCode: error.name === 'StreamError' ? error.code : null,
+              attempts: error.attempts || [],
+              timestamp: new Date().toISOString()
+            };
+          })
+      ));
       
       return {
         symbol: symbol,
@@ -278,24 +445,25 @@ class SimpleOptionsCollector {
       
       const results = {};
       
-      for (const symbol of this.symbols) {
+      // Symbols run side by side; the shared scheduler bounds concurrency and request rate
+      const symbolResults = await Promise.all(this.symbols.map(async (symbol) => {
         try {
           const symbolExpirations = expirations[symbol] || [];
-          const result = await this.streamOptionsChain(symbol, symbolExpirations);
-          results[symbol] = result;
-          
-          // Small delay between symbols
-          await new Promise(resolve => setTimeout(resolve, 1000));
-          
+          return await this.streamOptionsChain(symbol, symbolExpirations);
         } catch (error) {
           console.error(`❌ Failed to stream ${symbol}:`, error.message);
-          results[symbol] = {
+          return {
             symbol: symbol,
             error: error.message,
             timestamp: new Date().toISOString()
           };
         }
-      }
+      }));
+      
+      // Keep results in configured symbol order
+      symbolResults.forEach(result => {
+        results[result.symbol] = result;
+      });
       
       return results;
       
@@ -333,7 +501,10 @@ class SimpleOptionsCollector {
   }
 
   /**
-   * Main method - get expirations and stream options chains
+   * Main method - get expirations, underlying quotes and stream options chains
+   * Returns single contracts in `options`, multi-leg chain rows in `spreads` and the
+   * underlying quotes they reference in `underlyingQuotes`, with per-call retry details
+   * in `attempts` and the calls that gave up in `failures`
    */
   async collect() {
     try {
@@ -343,28 +514,51 @@ class SimpleOptionsCollector {
       // console.log(`📋 Top Records: ${this.topRecords}`);
       // console.log(`📋 Stream Duration: ${this.streamDuration/1000} seconds`);
       
+      this.attemptLog = [];
+      
       // 1. Get expirations
       // console.log('\n📅 Step 1: Getting expirations...');
       const expirations = await this.getExpirations();
       
-      // 2. Stream options chains
-      // console.log('\n📡 Step 2: Streaming options chains...');
+      // 2. Get the underlying quotes right before the chains are read
+      const underlyingQuotes = await this.getUnderlyingQuotes();
+      
+      // 3. Stream options chains
+      // console.log('\n📡 Step 3: Streaming options chains...');
       const streamResults = await this.streamAllOptionsChains(expirations);
       
-      // 3. Flatten all options data into single array
+      // 4. Flatten all options and spread data into single arrays, linked to their underlying quote
       const allOptionsData = [];
+      const allSpreadData = [];
       
       Object.values(streamResults).forEach(symbolResult => {
+        const quote = underlyingQuotes[symbolResult.symbol];
         if (symbolResult.results && Array.isArray(symbolResult.results)) {
           symbolResult.results.forEach(expirationResult => {
             if (expirationResult.parsedData && Array.isArray(expirationResult.parsedData)) {
-              allOptionsData.push(...expirationResult.parsedData);
+              allOptionsData.push(...expirationResult.parsedData.map(row => this.applyUnderlyingQuote(row, quote)));
+            }
+            if (expirationResult.spreadData && Array.isArray(expirationResult.spreadData)) {
+              allSpreadData.push(...expirationResult.spreadData.map(row => this.applyUnderlyingQuote(row, quote)));
             }
           });
         }
       });
       
-      const finalData = allOptionsData;
+      // 5. Flag bad quotes before anything is stored
+      const quality = validateOptionQuotes(allOptionsData, { underlyingQuotes });
+      if (quality.invalid > 0 || quality.suspect > 0) {
+        console.warn(`⚠️  Quote quality: ${quality.invalid} invalid, ${quality.suspect} suspect of ${allOptionsData.length} records`);
+      }
+      
+      const finalData = {
+        options: allOptionsData,
+        spreads: allSpreadData,
+        underlyingQuotes: Object.values(underlyingQuotes),
+        quality: quality,
+        attempts: this.attemptLog,
+        failures: this.attemptLog.filter(entry => entry.outcome === 'failed')
+      };
       
       // console.log('\n✅ Simple Options Collection Completed!');
       // console.log(`📊 Summary: ${allOptionsData.length} total options records collected`);
@@ -378,6 +572,20 @@ class SimpleOptionsCollector {
   }
 }
 
+/**
+ * Name a multi-leg chain row from its legs
+ */
+function classifySpread(legs) {
+  if (legs.length === 2) {
+    const [first, second] = legs;
+    if (first.option_type !== second.option_type) {
+      return first.strike === second.strike ? 'Straddle' : 'Strangle';
+    }
+    return 'Vertical';
+  }
+  return 'Custom';
+}
+
 // Main execution
 if (process.argv[1] && process.argv[1].endsWith('simpleOptionsCollector.js')) {
   const collector = new SimpleOptionsCollector();
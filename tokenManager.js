@@ -1,21 +1,67 @@
 import axios from 'axios';
+import crypto from 'crypto';
 import dotenv from 'dotenv';
+import { createTokenStore } from './lib/tokenStore.js';
+import { getAuthBaseUrl } from './lib/oauth.js';
 
 // Load environment variables
 dotenv.config();
 
+/**
+ * Token manager states
+ * - healthy: access token valid, or a refresh may be attempted
+ * - refreshing: a refresh request is in flight
+ * - cooling-down: the last refresh failed, no new attempt until the cooldown ends
+ * - revoked: the refresh token was rejected (invalid_grant) or is missing, a new login is required
+ */
+export const TOKEN_STATES = {
+  HEALTHY: 'healthy',
+  REFRESHING: 'refreshing',
+  COOLING_DOWN: 'cooling-down',
+  REVOKED: 'revoked'
+};
+
+/**
+ * Thrown when no valid access token can be provided right now
+ */
+export class TokenUnavailableError extends Error {
+  constructor(tokenInfo) {
+    const message = tokenInfo.state === TOKEN_STATES.REVOKED
+      ? 'TradeStation refresh token is revoked or missing, re-authenticate via /api/auth/login'
+      : `TradeStation token unavailable (${tokenInfo.state})${tokenInfo.retryAfterSeconds ? `, retry in ${tokenInfo.retryAfterSeconds}s` : ''}`;
+    super(message);
+    this.name = 'TokenUnavailableError';
+    this.state = tokenInfo.state;
+    this.retryAfterSeconds = tokenInfo.retryAfterSeconds;
+  }
+}
+
+/**
+ * Fingerprint of a refresh token, so stores can recognise the env token without keeping a copy
+ */
+const tokenHash = (token) => token ? crypto.createHash('sha256').update(token).digest('hex') : null;
+
 class TokenManager {
   static instance = null;
   
   constructor() {
     this.accessToken = null;
     this.refreshToken = process.env.TRADESTATION_REFRESH_TOKEN || null;
+    this.seedTokenHash = tokenHash(this.refreshToken); // Env token the stored tokens must descend from
+    this.refreshTokenSource = this.refreshToken ? 'env' : null; // env, store, refresh or login
     this.tokenExpiry = 0;
     this.isRefreshing = false;
     this.lastRefreshAttempt = 0;
     this.refreshAttempts = 0;
     this.MAX_REFRESH_ATTEMPTS = 3;
-    this.REFRESH_COOLDOWN = 5 * 60 * 1000; // 5 minutes
+    this.REFRESH_COOLDOWN = 5 * 60 * 1000; // 5 minutes, cooldown once MAX_REFRESH_ATTEMPTS consecutive refreshes failed
+    this.REFRESH_BACKOFF = 15 * 1000; // First cooldown after a failed refresh, doubled per consecutive failure
+    this.cooldownUntil = 0;
+    this.revoked = false;
+    this.lastRefreshError = null;
+    this.store = createTokenStore();
+    this.storeLoaded = false;
+    this.refreshPromise = null; // In-flight refresh shared by concurrent callers
     
     // console.log(`🔐 TokenManager initialized with refresh token: ${this.refreshToken ? 'Available' : 'Missing'}`);
   }
@@ -43,6 +89,12 @@ class TokenManager {
         return true;
       }
       
+      // Another instance may have refreshed (or rotated the refresh token) since we last looked
+      await this.loadFromStore();
+      if (this.accessToken && this.isTokenValid()) {
+        return true;
+      }
+      
       // Try to refresh the token
       if (this.canAttemptRefresh()) {
         // console.log('🔄 Access token expired or missing, attempting refresh...');
@@ -62,6 +114,71 @@ class TokenManager {
     }
   }
 
+  /**
+   * Load persisted token state from the configured store
+   * A stored refresh token wins over the env one since it is the most recently rotated, unless
+   * the store was seeded from a different TRADESTATION_REFRESH_TOKEN: a changed env token
+   * replaces the stored tokens and is saved as the new seed
+   */
+  async loadFromStore() {
+    try {
+      const state = await this.store.load();
+      this.storeLoaded = true;
+      if (!state) {
+        return false;
+      }
+      
+      // Stores written before the seed was recorded are taken to descend from the current env token
+      if (this.seedTokenHash && state.seedTokenHash && state.seedTokenHash !== this.seedTokenHash) {
+        console.log('🔐 TRADESTATION_REFRESH_TOKEN changed, replacing the stored tokens');
+        this.refreshToken = process.env.TRADESTATION_REFRESH_TOKEN;
+        this.refreshTokenSource = 'env';
+        this.accessToken = null;
+        this.tokenExpiry = 0;
+        this.resetRefreshState();
+        await this.saveToStore();
+        return true;
+      }
+      
+      if (state.refreshToken && state.refreshToken !== this.refreshToken) {
+        // A different refresh token (rotated or from a new login) lifts a revoked state
+        this.refreshToken = state.refreshToken;
+        this.refreshTokenSource = 'store';
+        this.resetRefreshState();
+      }
+      if (state.revoked && state.refreshToken === this.refreshToken) {
+        // Another instance or an earlier run already had this refresh token rejected
+        this.revoked = true;
+      }
+      if (state.accessToken && state.tokenExpiry > this.tokenExpiry) {
+        this.accessToken = state.accessToken;
+        this.tokenExpiry = state.tokenExpiry;
+      }
+      return true;
+    } catch (error) {
+      console.warn('⚠️  Failed to load token state:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Persist the current token state to the configured store
+   */
+  async saveToStore() {
+    try {
+      await this.store.save({
+        accessToken: this.accessToken,
+        refreshToken: this.refreshToken,
+        tokenExpiry: this.tokenExpiry,
+        seedTokenHash: this.seedTokenHash,
+        revoked: this.revoked
+      });
+    } catch (error) {
+      // The in-memory token still works; only persistence is lost
+      console.warn('⚠️  Failed to save token state:', error.message);
+    }
+  }
+
   /**
    * Check if the current access token is valid
    */
@@ -82,35 +199,104 @@ class TokenManager {
     return true;
   }
 
+  /**
+   * Current state of the refresh state machine (see TOKEN_STATES)
+   * A cooldown that has run out returns to healthy so the next call may try again
+   */
+  getState() {
+    if (this.refreshPromise) {
+      return TOKEN_STATES.REFRESHING;
+    }
+    if (this.revoked || !this.refreshToken) {
+      return TOKEN_STATES.REVOKED;
+    }
+    if (Date.now() < this.cooldownUntil) {
+      return TOKEN_STATES.COOLING_DOWN;
+    }
+    return TOKEN_STATES.HEALTHY;
+  }
+
   /**
    * Check if we can attempt a token refresh
    */
   canAttemptRefresh() {
-    if (!this.refreshToken) {
-      console.error('❌ No refresh token available');
+    const state = this.getState();
+    
+    if (state === TOKEN_STATES.REVOKED) {
+      console.error(`❌ ${this.refreshToken ? 'Refresh token revoked' : 'No refresh token available'}, re-authenticate via /api/auth/login`);
       return false;
     }
     
-    // Check if we've exceeded max attempts
-    if (this.refreshAttempts >= this.MAX_REFRESH_ATTEMPTS) {
-      console.error('❌ Max refresh attempts reached, manual re-authentication required');
+    if (state === TOKEN_STATES.COOLING_DOWN) {
+      console.error(`❌ Token refresh cooling down for ${Math.ceil((this.cooldownUntil - Date.now()) / 1000)}s after ${this.refreshAttempts} failed attempt(s)`);
       return false;
     }
     
     return true;
   }
 
+  /**
+   * Record a failed refresh and move to cooling-down or revoked
+   * Cooldown doubles per consecutive failure and is capped at REFRESH_COOLDOWN
+   * once MAX_REFRESH_ATTEMPTS is reached
+   */
+  recordRefreshFailure(error) {
+    const errorCode = error.response?.data?.error;
+    this.lastRefreshError = error.response?.data?.error_description || errorCode || error.message;
+    
+    if (errorCode === 'invalid_grant') {
+      this.revoked = true;
+      console.error('❌ Refresh token rejected (invalid_grant), re-authenticate via /api/auth/login');
+      return;
+    }
+    
+    const cooldown = this.refreshAttempts >= this.MAX_REFRESH_ATTEMPTS
+      ? this.REFRESH_COOLDOWN
+      : Math.min(this.REFRESH_COOLDOWN, this.REFRESH_BACKOFF * Math.pow(2, this.refreshAttempts - 1));
+    this.cooldownUntil = Date.now() + cooldown;
+    console.error(`⏳ Token refresh cooling down for ${cooldown / 1000}s (${this.refreshAttempts} consecutive failure(s))`);
+  }
+
+  /**
+   * Record a rejected refresh token in the store so other instances and cold starts stop using it
+   * Another instance may have rotated the token meanwhile; its newer token is adopted instead
+   */
+  async persistRevocation() {
+    const rejectedToken = this.refreshToken;
+    await this.loadFromStore();
+    if (this.revoked && this.refreshToken === rejectedToken) {
+      await this.saveToStore();
+    }
+  }
+
+  /**
+   * Return to healthy after a successful refresh or login
+   */
+  resetRefreshState() {
+    this.refreshAttempts = 0;
+    this.cooldownUntil = 0;
+    this.revoked = false;
+    this.lastRefreshError = null;
+  }
+
   /**
    * Refresh the access token using refresh token
+   * Concurrent callers share the same in-flight refresh
    */
-  async refreshAccessToken() {
-    if (!this.refreshToken) {
-      console.error('❌ No refresh token available');
-      return false;
+  refreshAccessToken() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.performRefresh().finally(() => {
+        this.refreshPromise = null;
+      });
     }
+    return this.refreshPromise;
+  }
 
-    if (this.refreshAttempts >= this.MAX_REFRESH_ATTEMPTS) {
-      console.error('❌ Max refresh attempts reached, manual re-authentication required');
+  /**
+   * Run a single refresh request against the TradeStation token endpoint
+   */
+  async performRefresh() {
+    if (!this.canAttemptRefresh()) {
       return false;
     }
 
@@ -122,7 +308,7 @@ class TokenManager {
       // console.log(`🔄 Refreshing token (attempt ${this.refreshAttempts}/${this.MAX_REFRESH_ATTEMPTS})`);
       
       const response = await axios.post(
-        'https://signin.tradestation.com/oauth/token',
+        `${getAuthBaseUrl()}/oauth/token`,
         {
           grant_type: 'refresh_token',
           client_id: process.env.TRADESTATION_CLIENT_ID,
@@ -139,8 +325,16 @@ class TokenManager {
       this.accessToken = response.data.access_token;
       this.tokenExpiry = Date.now() + (response.data.expires_in * 1000);
       
-      // Reset refresh attempts on success
-      this.refreshAttempts = 0;
+      // TradeStation may rotate the refresh token; keep the new one
+      if (response.data.refresh_token) {
+        this.refreshToken = response.data.refresh_token;
+        this.refreshTokenSource = 'refresh';
+      }
+      
+      // Reset refresh attempts and cooldown on success
+      this.resetRefreshState();
+      
+      await this.saveToStore();
 
       // console.log('✅ TradeStation token refreshed successfully');
       // console.log(`📅 Token expires at: ${new Date(this.tokenExpiry).toISOString()}`);
@@ -149,12 +343,32 @@ class TokenManager {
       
     } catch (error) {
       console.error('❌ Token refresh failed:', error.response?.data || error.message);
+      this.recordRefreshFailure(error);
+      if (this.revoked) {
+        await this.persistRevocation();
+      }
       return false;
     } finally {
       this.isRefreshing = false;
     }
   }
 
+  /**
+   * Install tokens obtained from the authorization-code login flow
+   * Clears any refresh lockout and persists the new state
+   */
+  async setTokens({ accessToken, refreshToken, expiresIn }) {
+    this.accessToken = accessToken;
+    this.tokenExpiry = Date.now() + (expiresIn * 1000);
+    if (refreshToken) {
+      this.refreshToken = refreshToken;
+      this.refreshTokenSource = 'login';
+    }
+    this.resetRefreshState();
+    
+    await this.saveToStore();
+  }
+
   /**
    * Get the current access token
    */
@@ -166,13 +380,21 @@ class TokenManager {
    * Get token information for debugging
    */
   getTokenInfo() {
+    const state = this.getState();
     return {
+      state: state,
+      cooldownUntil: state === TOKEN_STATES.COOLING_DOWN ? new Date(this.cooldownUntil).toISOString() : null,
+      retryAfterSeconds: state === TOKEN_STATES.COOLING_DOWN ? Math.ceil((this.cooldownUntil - Date.now()) / 1000) : null,
+      lastRefreshError: this.lastRefreshError,
       hasAccessToken: !!this.accessToken,
       hasRefreshToken: !!this.refreshToken,
+      refreshTokenSource: this.refreshTokenSource,
       tokenExpiry: this.tokenExpiry ? new Date(this.tokenExpiry).toISOString() : null,
       isExpired: this.tokenExpiry ? Date.now() >= this.tokenExpiry : true,
       refreshAttempts: this.refreshAttempts,
-      isRefreshing: this.isRefreshing
+      isRefreshing: this.isRefreshing,
+      tokenStore: this.store.constructor.name,
+      storeLoaded: this.storeLoaded
     };
   }
 }